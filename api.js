@@ -1,10 +1,12 @@
 'use strict';
 
 const fs = require('fs');
+const { RegisterDecoder } = require('./lib/RegisterDecoder');
 
 const LOG_FILE = '/userdata/alfa_debug.log';
 const MAX_BACKUPS = 2;
 const APP_PATH_PREFIX = '/app/com.dimapp.alfabysinapsi';
+const DRIVER_ID = 'alfa';
 
 /**
  * Get the file path for a given log file index
@@ -30,6 +32,51 @@ function getLogFileName(index) {
   return `alfa_debug.${index}.log`;
 }
 
+/**
+ * Get the SinapsiConnect instance of a paired Alfa device
+ * @param {object} homey - The Homey instance
+ * @param {string} deviceId - The device id (from device data)
+ * @returns {SinapsiConnect} - The connection of the device
+ */
+function getConnection(homey, deviceId) {
+  const sinapsi = homey.drivers.getDriver(DRIVER_ID).getConnection(deviceId);
+  if (!sinapsi) {
+    throw new Error(`Device not found or not initialized: ${deviceId}`);
+  }
+  return sinapsi;
+}
+
+/**
+ * Get the paired Alfa device with a given id
+ * @param {object} homey - The Homey instance
+ * @param {string} deviceId - The device id (from device data)
+ * @returns {Homey.Device} - The device
+ */
+function getDevice(homey, deviceId) {
+  const device = homey.drivers.getDriver(DRIVER_ID).getDevices().find(d => d.getData().id === deviceId);
+  if (!device || !device.energyHistory) {
+    throw new Error(`Device not found or not initialized: ${deviceId}`);
+  }
+  return device;
+}
+
+/**
+ * Parse a time query parameter: milliseconds since epoch or an ISO 8601 date
+ * @param {string} [value] - The query parameter
+ * @param {number} fallback - Time returned when the parameter is missing
+ * @returns {number} - Time in milliseconds
+ */
+function parseTime(value, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (isNaN(time)) {
+    throw new Error(`Invalid time: ${value}`);
+  }
+  return time;
+}
+
 module.exports = {
   /**
    * Check if log files exist and return info about all log files (main + backups)
@@ -146,6 +193,158 @@ module.exports = {
     }
   },
 
+  /**
+   * List the paired Alfa devices with their connection state
+   * GET /api/app/com.dimapp.alfabysinapsi/devices
+   */
+  async getDevices({ homey }) {
+    const driver = homey.drivers.getDriver(DRIVER_ID);
+
+    return driver.getDevices().map(device => {
+      const id = device.getData().id;
+      const sinapsi = driver.getConnection(id);
+      return {
+        id: id,
+        name: device.getName(),
+        host: sinapsi ? sinapsi.host : null,
+        port: sinapsi ? sinapsi.port : null,
+        connected: sinapsi ? sinapsi.isConnected : false
+      };
+    });
+  },
+
+  /**
+   * Read a range of holding registers through the connection of a device (register inspector)
+   * GET /api/app/com.dimapp.alfabysinapsi/devices/:deviceId/registers?address=780&count=3&wordOrder=big
+   * @param {object} params - Route parameters
+   * @param {string} params.deviceId - The device id
+   * @param {object} query - Query parameters: address, count (default 1), wordOrder ('big' or 'little', default 'big')
+   * Returns the raw words and their uint16/int16/uint32/int32/float32 decodings
+   */
+  async readRegisters({ homey, params, query }) {
+    const address = parseInt(query.address, 10);
+    const count = query.count !== undefined ? parseInt(query.count, 10) : 1;
+    const wordOrder = query.wordOrder || 'big';
+    if (wordOrder !== 'big' && wordOrder !== 'little') {
+      throw new Error(`Invalid word order: ${wordOrder}`);
+    }
+
+    const sinapsi = getConnection(homey, params.deviceId);
+    const words = await sinapsi.readRawRegisters(address, count);
+
+    return {
+      deviceId: params.deviceId,
+      address: address,
+      count: count,
+      wordOrder: wordOrder,
+      timestamp: new Date().toISOString(),
+      words: words,
+      registers: RegisterDecoder.inspect(words, address, wordOrder)
+    };
+  },
+
+  /**
+   * Get the last decoded sensor data of a device, with the time of each read
+   * GET /api/app/com.dimapp.alfabysinapsi/devices/:deviceId/sensors
+   * @param {object} params - Route parameters
+   * @param {string} params.deviceId - The device id
+   */
+  async getSensorData({ homey, params }) {
+    const sinapsi = getConnection(homey, params.deviceId);
+
+    return {
+      deviceId: params.deviceId,
+      connected: sinapsi.isConnected,
+      sensors: sinapsi.getLastSensorData().map(sensor => ({
+        ...sensor,
+        time: new Date(sensor.timestamp).toISOString()
+      }))
+    };
+  },
+
+  /**
+   * Get the local energy history of a device, in hourly or daily buckets (local periods, Homey timezone)
+   * GET /api/app/com.dimapp.alfabysinapsi/devices/:deviceId/history?from=2025-01-01&to=2025-01-31&granularity=day&metrics=imported,power
+   * @param {object} params - Route parameters
+   * @param {string} params.deviceId - The device id
+   * @param {object} query - Query parameters: from, to (ISO 8601 or milliseconds; default the last 24 hours, or the
+   *   last 30 days by day), granularity ('hour' or 'day', default 'hour'), metrics (comma separated, default all)
+   * Returns the energy per tariff band in kWh and the average / maximum power in W of each period
+   */
+  async getEnergyHistory({ homey, params, query }) {
+    const device = getDevice(homey, params.deviceId);
+    const granularity = query.granularity || 'hour';
+    const to = parseTime(query.to, Date.now());
+    const from = parseTime(query.from, to - (granularity === 'day' ? 30 : 1) * 24 * 60 * 60 * 1000);
+    const metrics = query.metrics ? query.metrics.split(',').map(metric => metric.trim()) : undefined;
+
+    return {
+      deviceId: params.deviceId,
+      timeZone: homey.clock.getTimezone(),
+      granularity: granularity,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      rows: device.energyHistory.query({ from, to, granularity, metrics })
+    };
+  },
+
+  /**
+   * List the Homey devices that can be switched off by the load shedding (onoff capability)
+   * GET /api/app/com.dimapp.alfabysinapsi/load-shedding/devices
+   */
+  async getLoadSheddingDevices({ homey }) {
+    const api = await homey.app.getHomeyApi();
+    const devices = await api.devices.getDevices();
+
+    return Object.values(devices)
+      .filter(device => Array.isArray(device.capabilities) && device.capabilities.includes('onoff'))
+      .map(device => ({
+        id: device.id,
+        name: device.name,
+        on: device.capabilitiesObj && device.capabilitiesObj.onoff ? device.capabilitiesObj.onoff.value : null
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  /**
+   * Get the state and the recent actions of the load shedding (newest first)
+   * GET /api/app/com.dimapp.alfabysinapsi/load-shedding/log
+   */
+  async getLoadSheddingLog({ homey }) {
+    return {
+      ...homey.app.loadShedder.getStatus(),
+      actions: homey.app.loadSheddingLog.map(entry => ({
+        ...entry,
+        time: new Date(entry.time).toISOString()
+      })).reverse()
+    };
+  },
+
+  /**
+   * Get the disconnection alarm episodes, newest first
+   * GET /api/app/com.dimapp.alfabysinapsi/alarm-history?deviceId=...
+   * @param {object} query - Query parameters: deviceId (optional, only the episodes of this device)
+   */
+  async getAlarmHistory({ homey, query }) {
+    const toIso = time => (time === null ? null : new Date(time).toISOString());
+
+    return homey.app.alarmHistory.getEpisodes(query.deviceId).map(episode => ({
+      ...episode,
+      start: toIso(episode.start),
+      end: toIso(episode.end),
+      eventDate: episode.eventDate === null ? null : new Date(episode.eventDate * 1000).toISOString()
+    }));
+  },
+
+  /**
+   * Delete the disconnection alarm history
+   * DELETE /api/app/com.dimapp.alfabysinapsi/alarm-history
+   */
+  async deleteAlarmHistory({ homey }) {
+    homey.app.alarmHistory.clear();
+    return { success: true };
+  },
+
   /**
    * Delete all log files (main + backups)
    * DELETE /api/app/com.dimapp.alfabysinapsi/log/all
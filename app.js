@@ -1,7 +1,12 @@
 'use strict';
 
 const Homey = require('homey');
+const { HomeyAPI } = require('homey-api');
+const LoadShedder = require('./lib/LoadShedder');
+const AlarmHistory = require('./lib/AlarmHistory');
 
+const LOAD_SHEDDING_SETTING = 'loadShedding';
+const LOAD_SHEDDING_LOG_SIZE = 100;
 
 module.exports = class AlfaApp extends Homey.App {
 
@@ -11,6 +16,57 @@ module.exports = class AlfaApp extends Homey.App {
   async onInit() {
     this.log('AlfaApp has been initialized');
 
+    // Disconnection alarm episodes of all the Alfa devices, persisted in /userdata
+    this.alarmHistory = new AlarmHistory();
+
+    // Load shedding: switches other Homey devices (onoff) through the Web API
+    this.loadSheddingLog = [];
+    this.loadShedder = new LoadShedder(this.homey, {
+      getState: async (deviceId) => {
+        const api = await this.getHomeyApi();
+        const device = await api.devices.getDevice({ id: deviceId });
+        return device.capabilitiesObj && device.capabilitiesObj.onoff ? device.capabilitiesObj.onoff.value : false;
+      },
+      setState: async (deviceId, on) => {
+        const api = await this.getHomeyApi();
+        await api.devices.setCapabilityValue({ deviceId, capabilityId: 'onoff', value: on });
+      }
+    });
+    this.loadShedder.on('action', (entry) => {
+      this.log(`Load shedding: ${entry.action}${entry.name ? ` ${entry.name}` : ''}${entry.error ? ` (${entry.error})` : ''}`);
+      this.loadSheddingLog.push(entry);
+      if (this.loadSheddingLog.length > LOAD_SHEDDING_LOG_SIZE) {
+        this.loadSheddingLog.shift();
+      }
+    });
+    this.loadShedder.setConfig(this.homey.settings.get(LOAD_SHEDDING_SETTING));
+
+    this.homey.settings.on('set', (key) => {
+      if (key === LOAD_SHEDDING_SETTING) {
+        this.loadShedder.setConfig(this.homey.settings.get(LOAD_SHEDDING_SETTING));
+      }
+    });
+  }
+
+  async onUninit() {
+    if (this.loadShedder) {
+      this.loadShedder.destroy();
+    }
+  }
+
+  /**
+   * Homey Web API client (homey:manager:api permission), created on first use; a failed creation is retried
+   * on the next call
+   * @returns {Promise<HomeyAPI>}
+   */
+  async getHomeyApi() {
+    if (!this.homeyApi) {
+      this.homeyApi = HomeyAPI.createAppAPI({ homey: this.homey }).catch((error) => {
+        this.homeyApi = null;
+        throw error;
+      });
+    }
+    return this.homeyApi;
   }
 
 };
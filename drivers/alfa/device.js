@@ -1,11 +1,82 @@
 'use strict';
 
 const Homey = require('homey');
-const SinapsiConnect = require('../../lib/SinapsiConnect');
 const FileLogger = require('../../lib/FileLogger');
+const SinapsiConnect = require('../../lib/SinapsiConnect');
+const DailyBandReport = require('../../lib/DailyBandReport');
+const QuarterHourPeaks = require('../../lib/QuarterHourPeaks');
+const EnergyCostTracker = require('../../lib/EnergyCostTracker');
+const EnergyHistory = require('../../lib/EnergyHistory');
+const OverloadMonitor = require('../../lib/OverloadMonitor');
+const PowerThresholds = require('../../lib/PowerThresholds');
+const { getDayKey, formatTime, formatIsoDateTime, formatDateTime } = require('../../lib/TimeUtils');
 
 const DEBUG_MODE = false; // Set to true to enable debug logs
 
+// Device settings applied live to the Modbus connection (see SinapsiConnect.updateConnectionSettings)
+const CONNECTION_SETTINGS = ['port', 'unitId', 'responseTimeout', 'readTimeout'];
+
+// Optional capabilities and the checkbox setting that shows each of them
+const OPTIONAL_CAPABILITIES = {
+  'meter_power.exported': 'showEnergyMonitoring',
+  'measure_power.exported': 'showExportedPower',
+  'measure_power.produced': 'showProducedPower',
+  'measure_power.consumption': 'showConsumptionMetrics',
+  'self_consumption': 'showConsumptionMetrics',
+  'self_sufficiency': 'showConsumptionMetrics',
+  'self_consumption.total': 'showConsumptionMetrics',
+  'self_sufficiency.total': 'showConsumptionMetrics',
+  'measure_power.quarter_imported': 'showQuarterHour',
+  'measure_power.quarter_exported': 'showQuarterHour',
+  'measure_power.peak_daily': 'showQuarterHour',
+  'measure_power.peak_monthly': 'showQuarterHour',
+  'energy_cost.today': 'showEnergyCost',
+  'energy_cost.month': 'showEnergyCost',
+  'energy_cost.total': 'showEnergyCost',
+  'energy_revenue.today': 'showEnergyCost',
+  'energy_revenue.month': 'showEnergyCost',
+  'energy_revenue.total': 'showEnergyCost'
+};
+
+// Energy price settings (€/kWh): one per tariff band, and the feed-in price
+const PRICE_SETTINGS = ['priceF1', 'priceF2', 'priceF3', 'priceF4', 'priceF5', 'priceF6', 'feedInPrice'];
+
+// Contractual power limits of the overload monitor (see OverloadMonitor.DEFAULTS)
+const OVERLOAD_SETTINGS = ['contractualPower', 'tolerancePercent', 'overrunPercent', 'overrunMinutes', 'peakSeconds'];
+
+// The energy cost state is written to the store at this interval, on a band or day change and when the app stops
+const ENERGY_COST_SAVE_INTERVAL = 10 * 60 * 1000;
+
+// Retention of the local energy history in days (see EnergyHistory)
+const HISTORY_SETTINGS = ['historyHourlyDays', 'historyDailyDays'];
+
+// The energy history is written to /userdata at this interval (and when the app stops)
+const ENERGY_HISTORY_SAVE_INTERVAL = 10 * 60 * 1000;
+
+// Yesterday's energy per tariff band (meter_power.day1_imported_f1 ... meter_power.day1_exported_f6)
+for (const direction of ['imported', 'exported']) {
+  for (const band of DailyBandReport.BANDS) {
+    OPTIONAL_CAPABILITIES[DailyBandReport.sensorId(direction, band)] = 'showDailyBands';
+  }
+}
+
+// Capabilities added to the driver after the first release (always shown)
+const ADDED_CAPABILITIES = ['disconnection_time'];
+
+// Power threshold trigger cards: direction of the crossing and the reading they follow
+const THRESHOLD_TRIGGERS = {
+  power_rose_above: { direction: 'above', reading: 'power' },
+  power_fell_below: { direction: 'below', reading: 'power' },
+  exported_power_above: { direction: 'above', reading: 'exported' }
+};
+
+// Derived capabilities with a "changed" trigger: capability -> [trigger card, token name]
+const CHANGE_TRIGGERS = {
+  'measure_power.consumption': ['consumption_changed', 'power'],
+  'self_consumption': ['self_consumption_changed', 'percentage'],
+  'self_sufficiency': ['self_sufficiency_changed', 'percentage']
+};
+
 module.exports = class AlfaDevice extends Homey.Device {
 
   _registerAlfaListeners() {
@@ -15,14 +86,12 @@ module.exports = class AlfaDevice extends Homey.Device {
       return;
     }
 
-    // Remove any existing listeners from SinapsiConnect instance to prevent memory leaks
-    this.sinapsi.removeAllListeners('taskCompleted');
-    this.sinapsi.removeAllListeners('disconnectionWarning');
-    this.sinapsi.removeAllListeners('firstDisconnectionWarning');
-    this.sinapsi.removeAllListeners('stopWarning');
-    this.sinapsi.removeAllListeners('connectionLost');
-    this.sinapsi.removeAllListeners('connectionRestored');
-    this.sinapsi.removeAllListeners('maxReconnectAttemptsReached');
+    // Remove the previous listeners of this device to prevent memory leaks.
+    // Listeners of other devices (the production companion) are left in place.
+    this._unregisterAlfaListeners();
+
+    // Lowest countdown of the alarm episode, for the countdown threshold trigger (a new connection starts a new episode)
+    this.lowestCountdown = null;
 
     // Store listener references for cleanup
     this.onTaskCompleted = async (sensorDataArray) => {
@@ -33,38 +102,25 @@ module.exports = class AlfaDevice extends Homey.Device {
         return;
       }
       
-      // Get the energy monitoring preference
-      const showEnergyMonitoring = this.getStoreValue('showEnergyMonitoring');
-      // Treat undefined (not set) as false: energy exported is disabled by default
-      const enableEnergyMonitoring = showEnergyMonitoring === true;
+      // Net power mode: measure_power = imported - exported (negative while feeding the grid)
+      const netPower = this.getSetting('netPower') === true;
+      const exportedPower = sensorDataArray.find(sensor => sensor.id === 'measure_power.exported');
       let updatedCapabilities = 0;
       let failedCapabilities = 0;
 
       for (const sensor of sensorDataArray) {
         if (!sensor.capability) continue;
 
-        // Skip meter_power.exported if energy monitoring is disabled
-        if (!enableEnergyMonitoring && sensor.id === 'meter_power.exported') {
-          this.log('Skipping meter_power.exported (energy monitoring disabled)');
-          continue;
-        }
+        // Optional capabilities disabled in the settings are read but not shown
+        if (OPTIONAL_CAPABILITIES[sensor.id] && !this.hasCapability(sensor.id)) continue;
 
+        // Values are already decoded and scaled by RegisterDecoder
         let value = sensor.value;
 
-        // Convert value based on data type
-        if (sensor.type === 'int16' || sensor.type === 'uint16' || sensor.type === 'uint32') {
-          value = Number(value);
-        } else if (sensor.type === 'float') {
-          value = parseFloat(value);
-        }
-
-        // Apply conversion factor
-        if (sensor.conversionFactor) {
-          value = value * sensor.conversionFactor;
-        }
-
         // Special handling for specific capabilities
-        if (sensor.id === 'alarm_generic') {
+        if (sensor.id === 'measure_power' && netPower && exportedPower) {
+          value = sensor.value - exportedPower.value;
+        } else if (sensor.id === 'alarm_generic') {
           value = (sensor.value !== -1);
         } else if (sensor.id === 'energy_phase') {
           value = `F${sensor.value}`;
@@ -79,6 +135,7 @@ module.exports = class AlfaDevice extends Homey.Device {
             if (currentValue !== value) {
               await this.setCapabilityValue(sensor.id, value);
               updatedCapabilities++;
+              this._triggerCapabilityChanged(sensor.id, value, currentValue);
             }
           } catch (error) {
             failedCapabilities++;
@@ -98,35 +155,60 @@ module.exports = class AlfaDevice extends Homey.Device {
       if (failedCapabilities > 0) {
         this._fileLog('warn', 'DEVICE', `Capability update: ${updatedCapabilities} success, ${failedCapabilities} failed`);
       }
+
+      this._checkDailyBandReport(sensorDataArray);
+      this._checkQuarterHour(sensorDataArray);
+      this._updateEnergyCost(sensorDataArray);
+      this._updateEnergyHistory(sensorDataArray);
+      this._checkOverload(sensorDataArray);
+      this._updateLoadShedding(sensorDataArray);
+      this._updateAlarmEpisode(sensorDataArray);
+      await this._checkPowerThresholds(sensorDataArray);
     };
 
-    this.onDisconnectionWarning = (seconds) => {
+    this.onDisconnectionWarning = (seconds, disconnectionTime = null) => {
       this.log(`disconnectionWarning event: disconnection in ${seconds} seconds`);
       this._fileLog('info', 'DEVICE', `Disconnection warning: ${seconds} seconds`);
 
       const disconnectionWarningTrigger = this.homey.flow.getDeviceTriggerCard("disconnection_warning");
 
       const tokens = {
-        seconds: seconds
+        seconds: seconds,
+        ...this._getDisconnectionTimeTokens(disconnectionTime)
       };
 
+      this._setDisconnectionTime(disconnectionTime);
+      this._checkCountdownThreshold(seconds, tokens);
+
       disconnectionWarningTrigger.trigger(this, tokens)
         .catch(this.error);
 
+      this._getAlarmHistory().update(this.getData().id, { seconds });
     };
 
-    this.onFirstDisconnectionWarning = (seconds) => {
+    this.onFirstDisconnectionWarning = (seconds, disconnectionTime = null) => {
       this.log(`firstDisconnectionWarning event: disconnection in ${seconds} seconds`);
       this._fileLog('info', 'DEVICE', `First disconnection warning: ${seconds} seconds`);
 
       const firstDisconnectionWarningTrigger = this.homey.flow.getDeviceTriggerCard("first_disconnection_warning");
 
       const tokens = {
-        seconds: seconds
+        seconds: seconds,
+        ...this._getDisconnectionTimeTokens(disconnectionTime)
       };
 
       firstDisconnectionWarningTrigger.trigger(this, tokens)
         .catch(this.error);
+
+      this._getAlarmHistory().start(this.getData().id, {
+        deviceName: this.getName(),
+        eventDate: this.sinapsi ? this.sinapsi.eventDate : undefined,
+        seconds,
+        power: this.lastImportedPower
+      }, Date.now());
+
+      const loadShedder = this._getLoadShedder();
+      if (loadShedder) loadShedder.onWarning(this.getData().id);
     };
 
     this.onStopWarning = () => {
@@ -137,12 +219,21 @@ module.exports = class AlfaDevice extends Homey.Device {
 
       stopWarningTrigger.trigger(this)
         .catch(this.error);
+
+      this._setDisconnectionTime(null);
+      this.lowestCountdown = null;
+
+      this._endAlarmEpisode('stopped');
+
+      const loadShedder = this._getLoadShedder();
+      if (loadShedder) loadShedder.onStopWarning(this.getData().id);
     };
 
     this.onConnectionLost = (reason) => {
       this.error(`Modbus connection lost: ${reason}`);
       this._fileLog('error', 'DEVICE', `Modbus connection lost: ${reason}`);
       this.setUnavailable(this.homey.__('error.connectionLost')).catch(this.error);
+      this._endAlarmEpisode('connectionLost');
     };
 
     this.onConnectionRestored = () => {
@@ -151,10 +242,35 @@ module.exports = class AlfaDevice extends Homey.Device {
       this.setAvailable().catch(this.error);
     };
 
-    this.onMaxReconnectAttemptsReached = () => {
-      this.error('Maximum reconnection attempts reached. App restart required.');
-      this._fileLog('error', 'DEVICE', 'Maximum reconnection attempts reached. App restart required.');
-      this.setUnavailable(this.homey.__('error.maxReconnectAttempts')).catch(this.error);
+    this.onSupplyDisconnected = (cause) => {
+      this.log(`Supply disconnected (${cause})`);
+      this._fileLog('warn', 'DEVICE', `Supply disconnected, detected from ${cause}`);
+
+      // The cut is the outcome of the alarm episode in progress: no stopWarning follows it
+      this._endAlarmEpisode('disconnected');
+
+      this.homey.flow.getDeviceTriggerCard('supply_disconnected')
+        .trigger(this, { cause: this.homey.__(`supply.cause.${cause}`) })
+        .catch(this.error);
+    };
+
+    // The alarm of a cut ended: the per-episode state is kept until then (countdown threshold fired once)
+    this.onWarningEndedByDisconnection = () => {
+      this._setDisconnectionTime(null);
+      this.lowestCountdown = null;
+    };
+
+    this.onSupplyRestored = (seconds) => {
+      this.log(`Supply restored after ${seconds} seconds`);
+      this._fileLog('info', 'DEVICE', `Supply restored after ${seconds} seconds`);
+
+      this.homey.flow.getDeviceTriggerCard('supply_restored')
+        .trigger(this, { duration: seconds })
+        .catch(this.error);
+
+      // Loads shed before the cut come back with the supply, not when the alarm cleared
+      const loadShedder = this._getLoadShedder();
+      if (loadShedder) loadShedder.onStopWarning(this.getData().id);
     };
 
     // Register all listeners on SinapsiConnect instance
@@ -164,11 +280,476 @@ module.exports = class AlfaDevice extends Homey.Device {
     this.sinapsi.on('stopWarning', this.onStopWarning);
     this.sinapsi.on('connectionLost', this.onConnectionLost);
     this.sinapsi.on('connectionRestored', this.onConnectionRestored);
-    this.sinapsi.on('maxReconnectAttemptsReached', this.onMaxReconnectAttemptsReached);
+    this.sinapsi.on('supplyDisconnected', this.onSupplyDisconnected);
+    this.sinapsi.on('supplyRestored', this.onSupplyRestored);
+    this.sinapsi.on('warningEndedByDisconnection', this.onWarningEndedByDisconnection);
     
     this._fileLog('info', 'DEVICE', 'All listeners registered successfully');
   }
 
+  /**
+   * Fires the "changed" trigger of a capability (derived metrics, tariff band), if it has one.
+   * @param {string} capability - The capability id.
+   * @param {number|string|null} value - The new value (null for a cleared derived metric).
+   * @param {number|string|null} previousValue - The previous value (null before the first one).
+   */
+  _triggerCapabilityChanged(capability, value, previousValue) {
+    if (capability === 'energy_phase') {
+      // The first band after pairing is not a change
+      if (previousValue === null) return;
+
+      this.log(`Tariff band changed: ${previousValue} -> ${value}`);
+      this.homey.flow.getDeviceTriggerCard('tariff_band_changed')
+        .trigger(this, { previous_band: previousValue, band: value })
+        .catch(this.error);
+      return;
+    }
+
+    // A derived metric is cleared (null) while it is undefined: there is no value to pass
+    if (!CHANGE_TRIGGERS[capability] || value === null) return;
+
+    const [cardId, token] = CHANGE_TRIGGERS[capability];
+    this.homey.flow.getDeviceTriggerCard(cardId)
+      .trigger(this, { [token]: value })
+      .catch(this.error);
+  }
+
+  /**
+   * Fires the daily band report trigger once per day, when the Day-1 values roll over.
+   * @param {Array<Object>} sensorDataArray - The taskCompleted payload.
+   */
+  _checkDailyBandReport(sensorDataArray) {
+    if (!this.dailyBandReport) return;
+
+    const day = getDayKey(Date.now(), this.homey.clock.getTimezone());
+    const previousState = this.dailyBandReport.state;
+    const report = this.dailyBandReport.check(sensorDataArray, day);
+
+    if (this.dailyBandReport.state !== previousState) {
+      this.setStoreValue('dailyBandReport', this.dailyBandReport.state).catch(this.error);
+    }
+    if (!report) return;
+
+    const tokens = {
+      imported_total: report.importedTotal,
+      exported_total: report.exportedTotal
+    };
+    for (const band of DailyBandReport.BANDS) {
+      tokens[`imported_${band}`] = report.imported[band];
+      tokens[`exported_${band}`] = report.exported[band];
+    }
+
+    this.log(`Daily band report for ${report.day}: imported ${report.importedTotal} kWh, exported ${report.exportedTotal} kWh`);
+    this._fileLog('info', 'DEVICE', 'Daily band report available', tokens);
+
+    this.homey.flow.getDeviceTriggerCard('daily_band_report')
+      .trigger(this, tokens)
+      .catch(this.error);
+  }
+
+  /**
+   * Records the daily and monthly peaks of the quarter-hour average import power,
+   * and fires the peak and threshold triggers when the average changes.
+   * @param {Array<Object>} sensorDataArray - The taskCompleted payload.
+   */
+  _checkQuarterHour(sensorDataArray) {
+    const average = sensorDataArray.find(sensor => sensor.id === 'measure_power.quarter_imported');
+    if (!average || !this.quarterHourPeaks) return;
+
+    // The average changes once per quarter-hour, it is read more often
+    const previous = this.lastQuarterHourAverage;
+    if (average.value === previous) return;
+    this.lastQuarterHourAverage = average.value;
+
+    const newPeak = this.quarterHourPeaks.update(average.value, average.timestamp);
+    if (newPeak.daily || newPeak.monthly) {
+      this.setStoreValue('quarterHourPeaks', this.quarterHourPeaks.state).catch(this.error);
+      this._setOptionalCapability('measure_power.peak_daily', this.quarterHourPeaks.state.daily.value);
+      this._setOptionalCapability('measure_power.peak_monthly', this.quarterHourPeaks.state.monthly.value);
+    }
+
+    if (newPeak.daily) {
+      const peak = this.quarterHourPeaks.state.daily;
+      const time = formatTime(peak.time, this.homey.clock.getTimezone());
+      this.log(`New daily quarter-hour peak: ${peak.value} W at ${time}`);
+      this._fileLog('info', 'DEVICE', `New daily quarter-hour peak: ${peak.value} W at ${time}`);
+
+      this.homey.flow.getDeviceTriggerCard('quarter_hour_peak_daily')
+        .trigger(this, { power: peak.value, time })
+        .catch(this.error);
+    }
+
+    // The first value after startup has nothing to cross from
+    if (previous !== undefined) {
+      this.homey.flow.getDeviceTriggerCard('quarter_hour_average_above')
+        .trigger(this, { power: average.value }, { value: average.value, previous })
+        .catch(this.error);
+    }
+  }
+
+  /**
+   * Last exported power read from the Alfa (W), also when its capability is hidden
+   * @returns {number|null}
+   */
+  getExportedPower() {
+    return this.exportedPower !== undefined ? this.exportedPower : null;
+  }
+
+  /**
+   * Evaluates the power threshold trigger cards on every new power read. The arguments of the flows
+   * using each card are read back from Homey, so each flow gets its own hysteresis and duration.
+   * @param {Array<Object>} sensorDataArray - The taskCompleted payload.
+   */
+  async _checkPowerThresholds(sensorDataArray) {
+    const power = sensorDataArray.find(sensor => sensor.id === 'measure_power');
+    if (!power || power.timestamp === this.lastThresholdRead) return;
+    this.lastThresholdRead = power.timestamp;
+
+    const exported = sensorDataArray.find(sensor => sensor.id === 'measure_power.exported');
+    this.exportedPower = exported ? exported.value : null;
+
+    // measure_power as published, net of the exported power in net power mode
+    const readings = { power: this.getCapabilityValue('measure_power'), exported: this.exportedPower };
+
+    for (const [cardId, { direction, reading }] of Object.entries(THRESHOLD_TRIGGERS)) {
+      const value = readings[reading];
+      if (value === null || value === undefined) continue;
+
+      const card = this.homey.flow.getDeviceTriggerCard(cardId);
+      try {
+        const argsList = await card.getArgumentValues(this);
+        for (const { key, threshold } of this.powerThresholds.update(cardId, direction, argsList, value, power.timestamp)) {
+          this.log(`Power threshold ${cardId} ${threshold} W crossed: ${value} W`);
+          card.trigger(this, { power: value, threshold }, { key }).catch(this.error);
+        }
+      } catch (error) {
+        this.error(`Failed to evaluate ${cardId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * The app-wide load shedder, driven by the warnings and the imported power of the Alfa devices
+   * @returns {LoadShedder|null}
+   */
+  _getLoadShedder() {
+    return this.homey.app && this.homey.app.loadShedder ? this.homey.app.loadShedder : null;
+  }
+
+  /**
+   * Feeds the imported power to the load shedder, which stops shedding once it is below the limit.
+   * @param {Array<Object>} sensorDataArray - The taskCompleted payload.
+   */
+  _updateLoadShedding(sensorDataArray) {
+    const loadShedder = this._getLoadShedder();
+    const power = sensorDataArray.find(sensor => sensor.id === 'measure_power');
+    if (loadShedder && power && power.value !== null) {
+      loadShedder.updatePower(this.getData().id, power.value);
+    }
+  }
+
+  /**
+   * Fires the countdown threshold trigger. The state carries the lowest countdown of the episode so far,
+   * so each card fires once per episode, when the countdown goes below its threshold (or at the first
+   * warning, if the countdown starts below it).
+   * @param {number} seconds - The locally tracked countdown
+   * @param {Object} tokens - The tokens of the warning (seconds and disconnection time)
+   */
+  _checkCountdownThreshold(seconds, tokens) {
+    const previous = this.lowestCountdown;
+    this.lowestCountdown = previous === null ? seconds : Math.min(previous, seconds);
+
+    this.homey.flow.getDeviceTriggerCard('disconnection_countdown_below')
+      .trigger(this, tokens, { seconds, previous })
+      .catch(this.error);
+  }
+
+  /**
+   * Flow tokens of the predicted disconnection time, in the Homey timezone and language
+   * @param {number|null} time - Time in milliseconds, null when unknown
+   * @returns {{disconnection_time: string, disconnection_time_local: string}} - ISO 8601 and localized ('' when unknown)
+   */
+  _getDisconnectionTimeTokens(time) {
+    if (time === null) {
+      return { disconnection_time: '', disconnection_time_local: '' };
+    }
+
+    const timeZone = this.homey.clock.getTimezone();
+    return {
+      disconnection_time: formatIsoDateTime(time, timeZone),
+      disconnection_time_local: formatDateTime(time, timeZone, this.homey.i18n.getLanguage())
+    };
+  }
+
+  /**
+   * Shows the predicted disconnection time on the device (null clears it)
+   * @param {number|null} time - Time in milliseconds
+   */
+  _setDisconnectionTime(time) {
+    if (!this.hasCapability('disconnection_time')) return;
+
+    const value = time === null ? null : this._getDisconnectionTimeTokens(time).disconnection_time_local;
+    if (this.getCapabilityValue('disconnection_time') !== value) {
+      this.setCapabilityValue('disconnection_time', value).catch(this.error);
+    }
+  }
+
+  /**
+   * Records the imported power in the alarm episode in progress (peak power of the episode).
+   * @param {Array<Object>} sensorDataArray - The taskCompleted payload.
+   */
+  _updateAlarmEpisode(sensorDataArray) {
+    const power = sensorDataArray.find(sensor => sensor.id === 'measure_power');
+    if (!power || power.value === null) return;
+
+    // Also the initial power of the next episode
+    this.lastImportedPower = power.value;
+    this._getAlarmHistory().update(this.getData().id, { power: power.value });
+  }
+
+  /**
+   * The app-wide disconnection alarm history
+   * @returns {AlarmHistory}
+   */
+  _getAlarmHistory() {
+    return this.homey.app.alarmHistory;
+  }
+
+  /**
+   * Ends the alarm episode in progress, if any, and logs it
+   * @param {string} outcome - 'stopped', 'connectionLost' (reported as 'disconnected' if the countdown ran out),
+   *                           'disconnected' (supply cut detected) or 'unknown'
+   */
+  _endAlarmEpisode(outcome) {
+    const episode = this._getAlarmHistory().end(this.getData().id, outcome, Date.now());
+    if (episode) {
+      this._fileLog('info', 'DEVICE', `Alarm episode ended: ${episode.outcome}`, episode);
+    }
+  }
+
+  /**
+   * Feeds the imported power to the overload monitor and fires the overload risk trigger
+   * when the power goes above the tolerance, then above the overrun limit.
+   * @param {Array<Object>} sensorDataArray - The taskCompleted payload.
+   */
+  _checkOverload(sensorDataArray) {
+    if (!this.overloadMonitor) return;
+
+    const power = sensorDataArray.find(sensor => sensor.id === 'measure_power');
+    if (!power || power.timestamp === this.lastOverloadRead) return;
+    this.lastOverloadRead = power.timestamp;
+
+    const previousLevel = this.overloadMonitor.level;
+    const risk = this.overloadMonitor.update(power.value, power.timestamp);
+    this.overloadRisk = risk;
+
+    if (risk.level !== previousLevel) {
+      this.log(`Overload level: ${previousLevel} -> ${risk.level} (${risk.power} W)`);
+      this._fileLog('info', 'DEVICE', `Overload level: ${previousLevel} -> ${risk.level}`, risk);
+    }
+    if (!risk.escalated) return;
+
+    this.homey.flow.getDeviceTriggerCard('overload_risk')
+      .trigger(this, {
+        seconds: risk.seconds,
+        power: risk.power,
+        threshold: risk.threshold,
+        level: risk.level
+      })
+      .catch(this.error);
+  }
+
+  /**
+   * Creates (or updates) the overload monitor from the settings; a contractual power of 0 disables it.
+   * @param {Object} settings - The device settings.
+   */
+  _configureOverloadMonitor(settings) {
+    if (!settings.contractualPower) {
+      this.overloadMonitor = null;
+      this.overloadRisk = null;
+      return;
+    }
+
+    const limits = {};
+    for (const key of OVERLOAD_SETTINGS) {
+      if (settings[key] !== undefined && settings[key] !== null) {
+        limits[key] = settings[key];
+      }
+    }
+
+    if (this.overloadMonitor) {
+      this.overloadMonitor.setLimits(limits);
+    } else {
+      this.overloadMonitor = new OverloadMonitor(limits);
+    }
+  }
+
+  /**
+   * Prices the energy imported and exported since the last counter read, and fires the
+   * daily cost summary trigger on the first read of a new day.
+   * @param {Array<Object>} sensorDataArray - The taskCompleted payload.
+   */
+  _updateEnergyCost(sensorDataArray) {
+    if (!this.energyCost) return;
+
+    const find = id => sensorDataArray.find(sensor => sensor.id === id);
+    const imported = find('meter_power.imported');
+    const exported = find('meter_power.exported');
+    const band = find('energy_phase');
+    if (!imported || !exported || !band) return;
+
+    // The counters are read less often than the payload is published
+    if (imported.timestamp === this.lastEnergyCostRead) return;
+    this.lastEnergyCostRead = imported.timestamp;
+
+    const bandName = `F${band.value}`;
+    const { summary, dropped } = this.energyCost.update({
+      imported: imported.value,
+      exported: exported.value,
+      band: bandName
+    }, imported.timestamp);
+    this.energyCostDirty = true;
+    if (summary || bandName !== this.lastEnergyCostBand) {
+      this._saveEnergyCost().catch(this.error);
+    }
+    this.lastEnergyCostBand = bandName;
+    this._setEnergyCostCapabilities();
+
+    if (dropped && (dropped.imported > 0 || dropped.exported > 0)) {
+      this.log(`Energy cost: ${dropped.imported} kWh imported and ${dropped.exported} kWh exported during a gap in the reads not priced`);
+      this._fileLog('warn', 'DEVICE', 'Energy measured during a gap in the reads not priced', dropped);
+    }
+
+    if (summary) {
+      const tokens = { ...summary, net: Math.round((summary.cost - summary.revenue) * 100) / 100 };
+      this.log(`Daily cost summary for ${summary.day}: cost ${summary.cost} €, revenue ${summary.revenue} €`);
+      this._fileLog('info', 'DEVICE', 'Daily cost summary available', tokens);
+
+      this.homey.flow.getDeviceTriggerCard('daily_cost_summary')
+        .trigger(this, tokens)
+        .catch(this.error);
+    }
+  }
+
+  /**
+   * Publishes the cost and revenue totals to the energy cost capabilities that are shown.
+   */
+  _setEnergyCostCapabilities() {
+    for (const period of ['today', 'month', 'total']) {
+      const totals = this.energyCost.getTotals(period);
+      this._setOptionalCapability(`energy_cost.${period}`, totals.cost);
+      this._setOptionalCapability(`energy_revenue.${period}`, totals.revenue);
+    }
+  }
+
+  /**
+   * Extracts the energy prices from the device settings.
+   * @param {Object} settings - The device settings.
+   * @returns {Object} - { bands: { F1..F6 }, feedIn } in €/kWh
+   */
+  _getPrices(settings) {
+    const bands = {};
+    for (let band = 1; band <= 6; band++) {
+      bands[`F${band}`] = settings[`priceF${band}`] || 0;
+    }
+    return { bands, feedIn: settings.feedInPrice || 0 };
+  }
+
+  /**
+   * Writes the energy cost state to the store, if it changed since the last write.
+   * @returns {Promise<void>}
+   */
+  async _saveEnergyCost() {
+    if (!this.energyCost || !this.energyCostDirty) return;
+    this.energyCostDirty = false;
+    await this.setStoreValue('energyCost', this.energyCost.state);
+  }
+
+  /**
+   * Adds the taskCompleted payload to the local energy history (written by _saveEnergyHistory).
+   * @param {Array<Object>} sensorDataArray - The taskCompleted payload.
+   */
+  _updateEnergyHistory(sensorDataArray) {
+    if (!this.energyHistory) return;
+    this.energyHistory.add(sensorDataArray);
+  }
+
+  /**
+   * Compacts and writes the local energy history, if it changed since the last write.
+   */
+  _saveEnergyHistory() {
+    if (!this.energyHistory) return;
+    this.energyHistory.save(Date.now());
+  }
+
+  /**
+   * Path of the energy history file of this device.
+   * @returns {string}
+   */
+  _getEnergyHistoryFile() {
+    const id = String(this.getData().id).replace(/[^\w.-]/g, '_');
+    return `/userdata/energy_history_${id}.json`;
+  }
+
+  /**
+   * Retention of the energy history from the device settings.
+   * @param {Object} settings - The device settings.
+   * @returns {{hourlyDays: number, dailyDays: number}}
+   */
+  _getHistoryRetention(settings) {
+    return { hourlyDays: settings.historyHourlyDays, dailyDays: settings.historyDailyDays };
+  }
+
+  /**
+   * Clears the energy cost and revenue since reset (reset_energy_cost action).
+   */
+  async resetEnergyCost() {
+    if (!this.energyCost) return;
+
+    this.energyCost.reset(Date.now());
+    this.energyCostDirty = true;
+    await this._saveEnergyCost();
+    this._setEnergyCostCapabilities();
+
+    this.log('Energy cost since reset cleared');
+    this._fileLog('info', 'DEVICE', 'Energy cost since reset cleared');
+  }
+
+  /**
+   * Sets the value of a capability computed by the device, if it is shown.
+   * @param {string} capability - The capability id.
+   * @param {*} value - The value.
+   */
+  _setOptionalCapability(capability, value) {
+    if (!this.hasCapability(capability) || this.getCapabilityValue(capability) === value) return;
+    this.setCapabilityValue(capability, value).catch(this.error);
+  }
+
+  /**
+   * Removes the listeners registered by _registerAlfaListeners from the SinapsiConnect instance.
+   */
+  _unregisterAlfaListeners() {
+    if (!this.sinapsi) return;
+
+    const listeners = {
+      taskCompleted: this.onTaskCompleted,
+      disconnectionWarning: this.onDisconnectionWarning,
+      firstDisconnectionWarning: this.onFirstDisconnectionWarning,
+      stopWarning: this.onStopWarning,
+      connectionLost: this.onConnectionLost,
+      connectionRestored: this.onConnectionRestored,
+      supplyDisconnected: this.onSupplyDisconnected,
+      supplyRestored: this.onSupplyRestored,
+      warningEndedByDisconnection: this.onWarningEndedByDisconnection
+    };
+
+    for (const [event, listener] of Object.entries(listeners)) {
+      if (listener) {
+        this.sinapsi.removeListener(event, listener);
+      }
+    }
+  }
+
   /**
    * Helper for logging to file
    */
@@ -190,11 +771,74 @@ module.exports = class AlfaDevice extends Homey.Device {
     }
   }
 
+  /**
+   * Moves the pairing-time showEnergyMonitoring flag from the device store to the device settings
+   * (devices paired before it became a setting).
+   */
+  async _migrateStoreSettings() {
+    const showEnergyMonitoring = this.getStoreValue('showEnergyMonitoring');
+    if (showEnergyMonitoring === null || showEnergyMonitoring === undefined) return;
+
+    // Treat anything but true as false: exported energy is disabled by default
+    await this.setSettings({ showEnergyMonitoring: showEnergyMonitoring === true });
+    await this.unsetStoreValue('showEnergyMonitoring');
+    this._fileLog('info', 'DEVICE', `Migrated showEnergyMonitoring=${showEnergyMonitoring === true} from store to settings`);
+  }
+
+  /**
+   * Adds the capabilities of the driver missing on devices paired with an older version.
+   */
+  async _addMissingCapabilities() {
+    for (const capability of ADDED_CAPABILITIES) {
+      if (!this.hasCapability(capability)) {
+        await this.addCapability(capability).catch(this.error);
+        this._fileLog('info', 'DEVICE', `Added ${capability} capability`);
+      }
+    }
+  }
+
+  /**
+   * Adds or removes the optional capabilities according to their settings.
+   * @param {Object} settings - The device settings.
+   */
+  async _syncCapabilities(settings) {
+    for (const [capability, setting] of Object.entries(OPTIONAL_CAPABILITIES)) {
+      const enabled = settings[setting] === true;
+
+      if (enabled && !this.hasCapability(capability)) {
+        await this.addCapability(capability).catch(this.error);
+        this.log(`Added ${capability} capability`);
+        this._fileLog('info', 'DEVICE', `Added ${capability} capability`);
+      } else if (!enabled && this.hasCapability(capability)) {
+        await this.removeCapability(capability).catch(this.error);
+        this.log(`Removed ${capability} capability`);
+        this._fileLog('info', 'DEVICE', `Removed ${capability} capability`);
+      }
+    }
+  }
+
+  /**
+   * Extracts the Modbus connection options from the device settings.
+   * Settings missing on devices paired before they existed fall back to the config defaults.
+   * @param {Object} settings - The device settings.
+   * @returns {Object} - { port, unitId, responseTimeout, readTimeout }
+   */
+  _getConnectionOptions(settings) {
+    const options = {};
+    for (const key of CONNECTION_SETTINGS) {
+      if (settings[key] !== undefined && settings[key] !== null) {
+        options[key] = settings[key];
+      }
+    }
+    return options;
+  }
+
   /**
    * Initializes the SinapsiConnect instance and checks the Modbus connection.
    * @param {string} ip - The IP address of the Modbus server.
+   * @param {Object} [settings] - The device settings (defaults to the saved ones; onSettings passes the new ones).
    */
-  async _initializeSinapsiConnect(ip) {
+  async _initializeSinapsiConnect(ip, settings = this.getSettings()) {
     if (!ip) {
       this.error('IP address is required');
       this._fileLog('error', 'INIT', 'IP address is required');
@@ -203,22 +847,26 @@ module.exports = class AlfaDevice extends Homey.Device {
     }
 
     try {
-      const showEnergyMonitoring = this.getStoreValue('showEnergyMonitoring');
-      // Treat undefined (not set) as false: energy exported is disabled by default
-      const enableEnergyMonitoring = showEnergyMonitoring === true;
+      const connectionOptions = this._getConnectionOptions(settings);
 
       this._fileLog('info', 'INIT', `Initializing connection to ${ip}`, {
-        energyMonitoring: enableEnergyMonitoring,
+        ...connectionOptions,
         debugMode: DEBUG_MODE
       });
 
-      this.sinapsi = SinapsiConnect.manageInstance(
-        this.homey,
+      // Detach from the connection being replaced (createConnection stops it)
+      this._unregisterAlfaListeners();
+
+      // Each device owns its own connection: other paired Alfa devices keep polling.
+      // All registers are always read, the settings only choose the capabilities shown.
+      this.sinapsi = await this.driver.createConnection(
+        this.getData().id,
         ip,
         15000, // Use 15 seconds for production
         DEBUG_MODE,
-        enableEnergyMonitoring,
-        this.fileLogger // Pass FileLogger to SinapsiConnect
+        true,
+        this.fileLogger, // Pass FileLogger to SinapsiConnect
+        connectionOptions
       );
 
       // Register listeners AFTER creating instance
@@ -240,7 +888,8 @@ module.exports = class AlfaDevice extends Homey.Device {
       this.error('Failed to initialize SinapsiConnect:', error);
       this._fileLog('error', 'INIT', `Failed to initialize: ${error.message}`);
       if (this.sinapsi) {
-        await this.sinapsi.stop();
+        await this.driver.removeConnection(this.getData().id);
+        this.sinapsi = null;
       }
       this.setUnavailable(this.homey.__("error.generic")).catch(this.error);
     }
@@ -345,22 +994,38 @@ module.exports = class AlfaDevice extends Homey.Device {
       this.log('File logging disabled (enable in app settings if needed)');
     }
     
-    const ip = this.getSettings().ipAddress;
-    
-    // Get the showEnergyMonitoring preference from device store
-    // Treat undefined (not set) as false so exported energy is disabled by default
-    const showEnergyMonitoring = this.getStoreValue('showEnergyMonitoring');
-    const enableEnergyMonitoring = showEnergyMonitoring === true; // true only if explicitly set to true
+    await this._migrateStoreSettings().catch(this.error);
+    await this._addMissingCapabilities();
+
+    // Last reported Day-1 values, kept in the store so that a restart does not report the same day twice
+    this.dailyBandReport = new DailyBandReport(this.getStoreValue('dailyBandReport'));
+    this.quarterHourPeaks = new QuarterHourPeaks(this.getStoreValue('quarterHourPeaks'), this.homey.clock.getTimezone());
+    this.energyCost = new EnergyCostTracker(this.getStoreValue('energyCost'), this.homey.clock.getTimezone());
+    this.powerThresholds = new PowerThresholds();
+    this.energyHistory = new EnergyHistory(this._getEnergyHistoryFile(), this.homey.clock.getTimezone());
+
+    const settings = this.getSettings();
+    const ip = settings.ipAddress;
+    this.energyCost.setPrices(this._getPrices(settings));
+    this.energyHistory.setRetention(this._getHistoryRetention(settings));
+    this.energyHistoryInterval = this.homey.setInterval(() => this._saveEnergyHistory(), ENERGY_HISTORY_SAVE_INTERVAL);
+    this.energyCostInterval = this.homey.setInterval(() => this._saveEnergyCost().catch(this.error), ENERGY_COST_SAVE_INTERVAL);
+    this._configureOverloadMonitor(settings);
     
-    this.log('Energy monitoring enabled:', enableEnergyMonitoring);
-    this._fileLog('info', 'DEVICE', `Device config: IP=${ip}, energyMonitoring=${enableEnergyMonitoring}`);
+    this.log('Energy monitoring enabled:', settings.showEnergyMonitoring === true);
+    this._fileLog('info', 'DEVICE', `Device config: IP=${ip}`, {
+      showEnergyMonitoring: settings.showEnergyMonitoring === true,
+      showExportedPower: settings.showExportedPower === true,
+      showProducedPower: settings.showProducedPower === true,
+      showConsumptionMetrics: settings.showConsumptionMetrics === true,
+      showDailyBands: settings.showDailyBands === true,
+      showQuarterHour: settings.showQuarterHour === true,
+      showEnergyCost: settings.showEnergyCost === true,
+      netPower: settings.netPower === true
+    });
     
-    // Remove exported energy capability if monitoring is disabled
-    if (!enableEnergyMonitoring && this.hasCapability('meter_power.exported')) {
-      await this.removeCapability('meter_power.exported').catch(this.error);
-      this.log('Removed meter_power.exported capability');
-      this._fileLog('info', 'DEVICE', 'Removed meter_power.exported capability');
-    }
+    // Show only the optional capabilities enabled in the settings
+    await this._syncCapabilities(settings);
     
     await this._initializeSinapsiConnect(ip);
   }
@@ -385,16 +1050,59 @@ module.exports = class AlfaDevice extends Homey.Device {
     this.log('AlfaDevice settings where changed');
     this._fileLog('info', 'DEVICE', 'Settings changed', { changedKeys });
 
+    const connectionChanged = changedKeys.some(key => CONNECTION_SETTINGS.includes(key));
+    const capabilitiesChanged = changedKeys.some(key => Object.values(OPTIONAL_CAPABILITIES).includes(key));
+
+    // Reject invalid values before anything is applied (Homey keeps the old settings)
+    if (connectionChanged) {
+      const invalidSettings = SinapsiConnect.getInvalidConnectionSettings(this._getConnectionOptions(newSettings));
+      if (invalidSettings.length > 0) {
+        this._fileLog('warn', 'DEVICE', `Invalid connection settings rejected: ${invalidSettings.join(', ')}`);
+        throw new Error(this.homey.__(`error.invalidSetting.${invalidSettings[0]}`));
+      }
+    }
+
+    if (changedKeys.some(key => OVERLOAD_SETTINGS.includes(key)) && newSettings.overrunPercent <= newSettings.tolerancePercent) {
+      throw new Error(this.homey.__('error.invalidSetting.overrunPercent'));
+    }
+
+    if (capabilitiesChanged) {
+      await this._syncCapabilities(newSettings);
+    }
+
+    if (changedKeys.some(key => OVERLOAD_SETTINGS.includes(key))) {
+      this._configureOverloadMonitor(newSettings);
+      this._fileLog('info', 'DEVICE', 'Overload monitor limits changed', { contractualPower: newSettings.contractualPower });
+    }
+
+    // New prices apply to the energy measured from now on
+    if (changedKeys.some(key => PRICE_SETTINGS.includes(key)) && this.energyCost) {
+      this.energyCost.setPrices(this._getPrices(newSettings));
+      this._fileLog('info', 'DEVICE', 'Energy prices changed', this._getPrices(newSettings));
+    }
+
+    // The new retention applies at the next write of the energy history
+    if (changedKeys.some(key => HISTORY_SETTINGS.includes(key)) && this.energyHistory) {
+      this.energyHistory.setRetention(this._getHistoryRetention(newSettings));
+      this._fileLog('info', 'DEVICE', 'Energy history retention changed', this.energyHistory.retention);
+    }
+
     if (changedKeys.includes('ipAddress')) {
       const ipNew = newSettings.ipAddress;
       this._fileLog('info', 'DEVICE', `IP address changed: ${oldSettings.ipAddress} -> ${ipNew}`);
       
-      // Stop old instance
+      // The old connection of this device is replaced by createConnection()
+      await this._initializeSinapsiConnect(ipNew, newSettings);
+    } else if (connectionChanged) {
+      const connectionOptions = this._getConnectionOptions(newSettings);
+      this._fileLog('info', 'DEVICE', 'Connection settings changed', connectionOptions);
+
       if (this.sinapsi) {
-        await this.sinapsi.stop();
+        // Applied live: no re-pairing, no new connection instance
+        this.sinapsi.updateConnectionSettings(connectionOptions);
+      } else {
+        await this._initializeSinapsiConnect(newSettings.ipAddress, newSettings);
       }
-      
-      await this._initializeSinapsiConnect(ipNew);
     }
   }
 
@@ -408,38 +1116,42 @@ module.exports = class AlfaDevice extends Homey.Device {
     this._fileLog('info', 'DEVICE', `Device renamed to: ${name}`);
   }
 
+  /**
+   * onUninit is called when the app is stopped or the device is being deleted.
+   */
+  async onUninit() {
+    this._saveEnergyHistory();
+    await this._saveEnergyCost().catch(this.error);
+  }
+
   /**
    * onDeleted is called when the user deleted the device.
    */
   async onDeleted() {
     this.log('AlfaDevice has been deleted');
     this._fileLog('info', 'DEVICE', 'Device deletion started');
+    this._endAlarmEpisode('unknown');
+
+    if (this.energyCostInterval) {
+      this.homey.clearInterval(this.energyCostInterval);
+      this.energyCostInterval = null;
+    }
+
+    // The energy history of a deleted device is not kept
+    if (this.energyHistoryInterval) {
+      this.homey.clearInterval(this.energyHistoryInterval);
+      this.energyHistoryInterval = null;
+    }
+    if (this.energyHistory) {
+      this.energyHistory.remove();
+      this.energyHistory = null;
+    }
     
     // Remove all event listeners from SinapsiConnect instance to prevent memory leaks
     if (this.sinapsi) {
-      if (this.onTaskCompleted) {
-        this.sinapsi.removeListener('taskCompleted', this.onTaskCompleted);
-      }
-      if (this.onDisconnectionWarning) {
-        this.sinapsi.removeListener('disconnectionWarning', this.onDisconnectionWarning);
-      }
-      if (this.onFirstDisconnectionWarning) {
-        this.sinapsi.removeListener('firstDisconnectionWarning', this.onFirstDisconnectionWarning);
-      }
-      if (this.onStopWarning) {
-        this.sinapsi.removeListener('stopWarning', this.onStopWarning);
-      }
-      if (this.onConnectionLost) {
-        this.sinapsi.removeListener('connectionLost', this.onConnectionLost);
-      }
-      if (this.onConnectionRestored) {
-        this.sinapsi.removeListener('connectionRestored', this.onConnectionRestored);
-      }
-      if (this.onMaxReconnectAttemptsReached) {
-        this.sinapsi.removeListener('maxReconnectAttemptsReached', this.onMaxReconnectAttemptsReached);
-      }
+      this._unregisterAlfaListeners();
       
-      await this.sinapsi.stop();
+      await this.driver.removeConnection(this.getData().id);
       this.sinapsi = null;
     }
     
@@ -450,7 +1162,9 @@ module.exports = class AlfaDevice extends Homey.Device {
     this.onStopWarning = null;
     this.onConnectionLost = null;
     this.onConnectionRestored = null;
-    this.onMaxReconnectAttemptsReached = null;
+    this.onSupplyDisconnected = null;
+    this.onSupplyRestored = null;
+    this.onWarningEndedByDisconnection = null;
     
     // Cleanup FileLogger
     if (this.fileLogger) {
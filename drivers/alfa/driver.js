@@ -2,6 +2,7 @@
 
 const Homey = require('homey');
 const SinapsiConnect = require('../../lib/SinapsiConnect');
+const PowerThresholds = require('../../lib/PowerThresholds');
 
 module.exports = class AlfaDriver extends Homey.Driver {
 
@@ -10,6 +11,102 @@ module.exports = class AlfaDriver extends Homey.Driver {
    */
   async onInit() {
     this.log('AlfaDriver has been initialized');
+
+    // One independent SinapsiConnect per paired Alfa, keyed by device id
+    this.connections = new Map();
+
+    // Fires when the quarter-hour average crosses the threshold of the card (state: { value, previous })
+    this.homey.flow.getDeviceTriggerCard('quarter_hour_average_above')
+      .registerRunListener(async (args, state) => state.value > args.threshold && state.previous <= args.threshold);
+
+    // Power threshold cards fire for the flows whose arguments crossed (state: { key }, see PowerThresholds)
+    for (const cardId of ['power_rose_above', 'power_fell_below', 'exported_power_above']) {
+      this.homey.flow.getDeviceTriggerCard(cardId)
+        .registerRunListener(async (args, state) => PowerThresholds.key(args) === state.key);
+    }
+
+    this.homey.flow.getConditionCard('power_is_above')
+      .registerRunListener(async (args) => args.device.getCapabilityValue('measure_power') > args.threshold);
+
+    // The exported power is read even when its capability is hidden
+    this.homey.flow.getConditionCard('exported_power_is_above')
+      .registerRunListener(async (args) => {
+        const exported = args.device.getExportedPower();
+        if (exported === null) {
+          throw new Error(this.homey.__('error.exportedPowerUnknown'));
+        }
+        return exported > args.threshold;
+      });
+
+    // Fires once per alarm episode, when the countdown goes below the threshold of the card (state: { seconds, previous })
+    this.homey.flow.getDeviceTriggerCard('disconnection_countdown_below')
+      .registerRunListener(async (args, state) => state.seconds < args.threshold && (state.previous === null || state.previous >= args.threshold));
+
+    // Tariff band cards read the energy_phase capability written by the device (F1..F6)
+    this.homey.flow.getConditionCard('tariff_band_is')
+      .registerRunListener(async (args) => args.device.getCapabilityValue('energy_phase') === args.band);
+
+    this.homey.flow.getActionCard('get_tariff_band')
+      .registerRunListener(async (args) => {
+        const band = args.device.getCapabilityValue('energy_phase');
+        if (!band) {
+          throw new Error(this.homey.__('error.bandUnknown'));
+        }
+        return { band };
+      });
+
+    this.homey.flow.getActionCard('reset_energy_cost')
+      .registerRunListener(async (args) => args.device.resetEnergyCost());
+  }
+
+  /**
+   * Creates and starts the SinapsiConnect instance of a device.
+   * Any previous connection of the same device is stopped first; other devices are not affected.
+   * Emits 'connectionCreated' (deviceId, sinapsi) so companion devices can attach to it.
+   * @param {string} deviceId - The device id (from device data).
+   * @param {string} ip - The IP address of the Modbus server.
+   * @param {number} updateInterval - The interval in milliseconds for updating data.
+   * @param {boolean} showLog - Whether to show log messages.
+   * @param {boolean} showEnergyMonitoring - Whether to include energy monitoring sensors.
+   * @param {Object} [fileLogger=null] - FileLogger instance for persistent logging.
+   * @param {Object} [options={}] - Additional SinapsiConnect options (see the SinapsiConnect constructor).
+   * @returns {Promise<SinapsiConnect>} The started SinapsiConnect instance.
+   */
+  async createConnection(deviceId, ip, updateInterval, showLog, showEnergyMonitoring, fileLogger = null, options = {}) {
+    await this.removeConnection(deviceId);
+
+    const sinapsi = new SinapsiConnect(this.homey, ip, updateInterval, showLog, showEnergyMonitoring, fileLogger, options);
+    this.connections.set(deviceId, sinapsi);
+    sinapsi.start();
+    this.emit('connectionCreated', deviceId, sinapsi);
+
+    this.log(`Connection created for ${deviceId} (${ip}) - active connections: ${this.connections.size}`);
+    return sinapsi;
+  }
+
+  /**
+   * Returns the SinapsiConnect instance of a device.
+   * @param {string} deviceId - The device id (from device data).
+   * @returns {SinapsiConnect|undefined} The SinapsiConnect instance, if any.
+   */
+  getConnection(deviceId) {
+    return this.connections.get(deviceId);
+  }
+
+  /**
+   * Stops and removes the SinapsiConnect instance of a device.
+   * Emits 'connectionRemoved' (deviceId) before the connection is stopped.
+   * @param {string} deviceId - The device id (from device data).
+   */
+  async removeConnection(deviceId) {
+    const sinapsi = this.connections.get(deviceId);
+    if (!sinapsi) return;
+
+    this.connections.delete(deviceId);
+    this.emit('connectionRemoved', deviceId);
+    await sinapsi.stop();
+
+    this.log(`Connection removed for ${deviceId} - active connections: ${this.connections.size}`);
   }
 
   onPair(session) {
@@ -34,6 +131,9 @@ module.exports = class AlfaDriver extends Homey.Driver {
       );
 
       sinapsi.isModbusConnected().then(async (isConnected) => {
+        // The test connection is not needed anymore: release its socket
+        await sinapsi.stop();
+
         if (isConnected) {
           ip = ipAddress;
           showEnergyMonitoring = energyMonitoring;
@@ -56,8 +156,6 @@ module.exports = class AlfaDriver extends Homey.Driver {
           },
           settings: {
             ipAddress: ip,
-          },
-          store: {
             showEnergyMonitoring: showEnergyMonitoring,
           },
         },
@@ -0,0 +1,112 @@
+'use strict';
+
+const Homey = require('homey');
+
+// Alfa sensors published by the production device: sensor id -> capability
+const PRODUCTION_SENSORS = {
+  'measure_power.produced': 'measure_power',
+  'pro_tot': 'meter_power'
+};
+
+module.exports = class AlfaProductionDevice extends Homey.Device {
+
+  /**
+   * onInit is called when the device is initialized.
+   */
+  async onInit() {
+    this.log('AlfaProductionDevice has been initialized');
+
+    this.parentId = this.getData().parentId;
+    this.sinapsi = null;
+
+    this.onTaskCompleted = async (sensorDataArray) => {
+      for (const sensor of sensorDataArray) {
+        const capability = PRODUCTION_SENSORS[sensor.id];
+        if (!capability) continue;
+
+        // Values are already decoded and scaled by RegisterDecoder
+        const value = sensor.unit === 'Wh' ? sensor.value / 1000 : sensor.value; // Wh -> kWh
+
+        if (this.getCapabilityValue(capability) !== value) {
+          await this.setCapabilityValue(capability, value).catch(this.error);
+        }
+      }
+
+      if (!this.getAvailable()) {
+        this.setAvailable().catch(this.error);
+      }
+    };
+
+    this.onConnectionLost = () => {
+      this.setUnavailable(this.homey.__('error.connectionLost')).catch(this.error);
+    };
+
+    this.onConnectionRestored = () => {
+      this.setAvailable().catch(this.error);
+    };
+
+    // The Alfa driver replaces the connection of its device on IP changes and removes it on deletion
+    this.onParentConnectionCreated = (deviceId, sinapsi) => {
+      if (deviceId === this.parentId) this._attach(sinapsi);
+    };
+
+    this.onParentConnectionRemoved = (deviceId) => {
+      if (deviceId !== this.parentId) return;
+      this._detach();
+      this.setUnavailable(this.homey.__('error.parentMissing')).catch(this.error);
+    };
+
+    this.parentDriver = await this.driver.getParentDriver();
+    this.parentDriver.on('connectionCreated', this.onParentConnectionCreated);
+    this.parentDriver.on('connectionRemoved', this.onParentConnectionRemoved);
+
+    const sinapsi = this.parentDriver.getConnection(this.parentId);
+    if (sinapsi) {
+      this._attach(sinapsi);
+    } else {
+      // The Alfa device may still be initializing: connectionCreated attaches it later
+      this.setUnavailable(this.homey.__('error.parentMissing')).catch(this.error);
+    }
+  }
+
+  /**
+   * Listens to the connection of the parent Alfa device. No Modbus request is made by this device.
+   * @param {SinapsiConnect} sinapsi - The connection of the parent Alfa device.
+   */
+  _attach(sinapsi) {
+    this._detach();
+
+    this.sinapsi = sinapsi;
+    this.sinapsi.on('taskCompleted', this.onTaskCompleted);
+    this.sinapsi.on('connectionLost', this.onConnectionLost);
+    this.sinapsi.on('connectionRestored', this.onConnectionRestored);
+
+    this.log(`Attached to the connection of ${this.parentId}`);
+  }
+
+  /**
+   * Removes the listeners of this device from the parent connection.
+   */
+  _detach() {
+    if (!this.sinapsi) return;
+
+    this.sinapsi.removeListener('taskCompleted', this.onTaskCompleted);
+    this.sinapsi.removeListener('connectionLost', this.onConnectionLost);
+    this.sinapsi.removeListener('connectionRestored', this.onConnectionRestored);
+    this.sinapsi = null;
+  }
+
+  /**
+   * onDeleted is called when the user deleted the device.
+   */
+  async onDeleted() {
+    this.log('AlfaProductionDevice has been deleted');
+
+    this._detach();
+    if (this.parentDriver) {
+      this.parentDriver.removeListener('connectionCreated', this.onParentConnectionCreated);
+      this.parentDriver.removeListener('connectionRemoved', this.onParentConnectionRemoved);
+    }
+  }
+
+};
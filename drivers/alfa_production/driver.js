@@ -0,0 +1,47 @@
+'use strict';
+
+const Homey = require('homey');
+
+const PARENT_DRIVER_ID = 'alfa';
+
+module.exports = class AlfaProductionDriver extends Homey.Driver {
+
+  /**
+   * onInit is called when the driver is initialized.
+   */
+  async onInit() {
+    this.log('AlfaProductionDriver has been initialized');
+  }
+
+  /**
+   * Returns the Alfa driver, which owns the Modbus connections shared with the production devices.
+   * @returns {Promise<Homey.Driver>} The Alfa driver, once initialized.
+   */
+  async getParentDriver() {
+    const driver = this.homey.drivers.getDriver(PARENT_DRIVER_ID);
+    await driver.ready();
+    return driver;
+  }
+
+  /**
+   * Lists the paired Alfa devices that have no production device yet.
+   * The production device does not open a connection: it is fed by the one of its Alfa (data.parentId).
+   */
+  async onPairListDevices() {
+    const parentDriver = await this.getParentDriver();
+    const pairedParents = new Set(this.getDevices().map(device => device.getData().parentId));
+
+    const devices = parentDriver.getDevices()
+      .filter(parent => !pairedParents.has(parent.getData().id))
+      .map(parent => ({
+        name: this.homey.__('pair.production.name', { name: parent.getName() }),
+        data: {
+          id: `production_${parent.getData().id}`,
+          parentId: parent.getData().id,
+        },
+      }));
+
+    this.log('onPairListDevices - available Alfa devices:', devices.length);
+    return devices;
+  }
+};
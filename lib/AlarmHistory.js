@@ -0,0 +1,168 @@
+'use strict';
+
+const fs = require('fs');
+const { writeJsonAtomic } = require('./FileUtils');
+
+/**
+ * Persistent history of the disconnection alarm episodes, shared by all the Alfa devices.
+ *
+ * An episode starts with the first disconnection warning and records the Alfa event date, the initial
+ * countdown, the minimum remaining seconds and the peak import power until it ends:
+ * - 'stopped': the warning stopped before the countdown ran out;
+ * - 'disconnected': the countdown ran out, or the supply was seen cut (SinapsiConnect supply state);
+ * - 'connectionLost': the Alfa stopped answering during the episode;
+ * - 'unknown': the app stopped during the episode.
+ *
+ * The history is written to a JSON file in /userdata when an episode starts and ends (not on every countdown
+ * update, to spare the storage); the oldest episodes are dropped beyond maxEpisodes.
+ *
+ * @example
+ * const history = new AlarmHistory();
+ * history.start(deviceId, { deviceName: 'Alfa', eventDate: 1736942400, seconds: 120, power: 4200 }, Date.now());
+ * history.update(deviceId, { seconds: 90, power: 4500 });
+ * history.end(deviceId, 'stopped', Date.now());
+ * history.getEpisodes(); // => [{ deviceId, ..., outcome: 'stopped', duration: 35 }]
+ */
+class AlarmHistory {
+  static FILE = '/userdata/alarm_history.json';
+  static MAX_EPISODES = 200;
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file] - Path of the history file
+   * @param {number} [options.maxEpisodes] - Number of episodes kept
+   */
+  constructor(options = {}) {
+    this.file = options.file || AlarmHistory.FILE;
+    this.maxEpisodes = options.maxEpisodes || AlarmHistory.MAX_EPISODES;
+    this.episodes = this._load(); // Oldest first
+    this.open = new Map(); // deviceId -> episode in progress
+  }
+
+  /**
+   * Starts an episode (first disconnection warning); an episode still open for the device is closed first
+   * @param {string} deviceId - The Alfa device id
+   * @param {Object} alarm - { deviceName, eventDate (Alfa, seconds since epoch), seconds (countdown), power (W) }
+   * @param {number} time - Start time in milliseconds
+   */
+  start(deviceId, { deviceName, eventDate, seconds, power }, time) {
+    if (this.open.has(deviceId)) {
+      this.end(deviceId, 'unknown', time);
+    }
+
+    const episode = {
+      deviceId,
+      deviceName: deviceName || null,
+      start: time,
+      eventDate: eventDate !== undefined ? eventDate : null,
+      initialSeconds: seconds,
+      minSeconds: seconds,
+      peakPower: power !== undefined ? power : null,
+      outcome: null,
+      end: null,
+      duration: null
+    };
+    this.open.set(deviceId, episode);
+    this.episodes.push(episode);
+    this._trim();
+    this._save();
+  }
+
+  /**
+   * Records a countdown value and / or a power reading of the episode in progress, if any
+   * @param {string} deviceId - The Alfa device id
+   * @param {Object} values - { seconds, power }, both optional
+   */
+  update(deviceId, { seconds, power }) {
+    const episode = this.open.get(deviceId);
+    if (!episode) return;
+
+    if (seconds !== undefined && seconds !== null) {
+      episode.minSeconds = Math.min(episode.minSeconds, seconds);
+    }
+    if (power !== undefined && power !== null) {
+      episode.peakPower = episode.peakPower === null ? power : Math.max(episode.peakPower, power);
+    }
+  }
+
+  /**
+   * Whether an episode is in progress for a device
+   * @param {string} deviceId - The Alfa device id
+   * @returns {boolean}
+   */
+  isOpen(deviceId) {
+    return this.open.has(deviceId);
+  }
+
+  /**
+   * Ends the episode in progress of a device, if any
+   * @param {string} deviceId - The Alfa device id
+   * @param {string} outcome - 'stopped', 'connectionLost', 'disconnected' or 'unknown'; 'disconnected' when the countdown ran out
+   * @param {number} time - End time in milliseconds
+   * @returns {Object|null} - The ended episode
+   */
+  end(deviceId, outcome, time) {
+    const episode = this.open.get(deviceId);
+    if (!episode) return null;
+
+    this.open.delete(deviceId);
+    episode.outcome = episode.minSeconds === 0 && outcome !== 'unknown' ? 'disconnected' : outcome;
+    episode.end = time;
+    episode.duration = Math.round((time - episode.start) / 1000);
+    this._save();
+    return episode;
+  }
+
+  /**
+   * Episodes, newest first
+   * @param {string} [deviceId] - Only the episodes of this device
+   * @returns {Array<Object>}
+   */
+  getEpisodes(deviceId) {
+    return this.episodes
+      .filter(episode => !deviceId || episode.deviceId === deviceId)
+      .slice()
+      .reverse();
+  }
+
+  /**
+   * Deletes the history (the episodes in progress are kept)
+   */
+  clear() {
+    this.episodes = [...this.open.values()];
+    this._save();
+  }
+
+  _trim() {
+    if (this.episodes.length > this.maxEpisodes) {
+      this.episodes.splice(0, this.episodes.length - this.maxEpisodes);
+    }
+  }
+
+  _load() {
+    try {
+      if (!fs.existsSync(this.file)) return [];
+      const episodes = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (!Array.isArray(episodes)) return [];
+
+      // Episodes left open by a restart cannot be followed anymore
+      for (const episode of episodes) {
+        if (episode.outcome === null) episode.outcome = 'unknown';
+      }
+      return episodes;
+    } catch (error) {
+      console.error('AlarmHistory load error:', error.message);
+      return [];
+    }
+  }
+
+  _save() {
+    try {
+      writeJsonAtomic(this.file, this.episodes);
+    } catch (error) {
+      console.error('AlarmHistory save error:', error.message);
+    }
+  }
+}
+
+module.exports = AlarmHistory;
@@ -0,0 +1,98 @@
+'use strict';
+
+const BANDS = ['f1', 'f2', 'f3', 'f4', 'f5', 'f6'];
+
+/**
+ * Detects the daily rollover of the Day-1 (yesterday) per-band energy registers.
+ *
+ * The Alfa updates the F1–F6 Day-1 counters once a day. A report is produced when the values change
+ * on a different day than the last report: later corrections on the same day, and the values found at startup,
+ * do not produce a new one. The state ({ day, signature }) is meant to be persisted by the caller
+ * (device store), so that an app restart does not report the same day twice.
+ *
+ * @example
+ * const report = new DailyBandReport(device.getStoreValue('dailyBandReport'));
+ * const result = report.check(sensorDataArray, '2025-01-15');
+ * // => null, or { day: '2025-01-15', imported: { f1: 3.2, ... }, exported: { f1: 0.5, ... }, importedTotal, exportedTotal }
+ * device.setStoreValue('dailyBandReport', report.state);
+ */
+class DailyBandReport {
+  /**
+   * Tariff bands of the Day-1 registers
+   * @constant {Array<string>}
+   */
+  static BANDS = BANDS;
+
+  /**
+   * @param {Object|null} [state=null] - The state of a previous instance ({ day, signature })
+   */
+  constructor(state = null) {
+    this.state = state;
+  }
+
+  /**
+   * Sensor id of the Day-1 energy of a band
+   * @param {string} direction - 'imported' or 'exported'
+   * @param {string} band - 'f1'..'f6'
+   * @returns {string}
+   */
+  static sensorId(direction, band) {
+    return `meter_power.day1_${direction}_${band}`;
+  }
+
+  /**
+   * Checks the latest sensor data for a rollover of the Day-1 values
+   * @param {Array<Object>} sensorDataArray - The latest data of every sensor
+   * @param {string} day - The current day (YYYY-MM-DD, in the Homey timezone)
+   * @returns {Object|null} - The report (energy in kWh) if the values rolled over, null otherwise
+   */
+  check(sensorDataArray, day) {
+    const values = DailyBandReport._getValues(sensorDataArray);
+    if (!values) return null;
+
+    const signature = JSON.stringify(values);
+    const previous = this.state;
+    if (previous && previous.signature === signature) return null;
+
+    this.state = { day, signature };
+
+    // First values ever seen, or a correction of the values already reported today
+    if (!previous || previous.day === day) return null;
+
+    return DailyBandReport._buildReport(values, day);
+  }
+
+  /**
+   * Returns { imported: { f1.. }, exported: { f1.. } } in Wh, or null if a band has not been read yet
+   */
+  static _getValues(sensorDataArray) {
+    const data = new Map(sensorDataArray.map(sensor => [sensor.id, sensor.value]));
+    const values = { imported: {}, exported: {} };
+
+    for (const direction of Object.keys(values)) {
+      for (const band of BANDS) {
+        const value = data.get(DailyBandReport.sensorId(direction, band));
+        if (value === undefined) return null;
+        values[direction][band] = value;
+      }
+    }
+    return values;
+  }
+
+  static _buildReport(values, day) {
+    const report = { day };
+
+    for (const direction of ['imported', 'exported']) {
+      report[direction] = {};
+      let total = 0;
+      for (const band of BANDS) {
+        report[direction][band] = values[direction][band] / 1000; // Wh -> kWh
+        total += values[direction][band];
+      }
+      report[`${direction}Total`] = total / 1000;
+    }
+    return report;
+  }
+}
+
+module.exports = DailyBandReport;
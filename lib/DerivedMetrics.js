@@ -0,0 +1,110 @@
+'use strict';
+
+/**
+ * Household metrics computed from the grid and production registers, appended to every taskCompleted payload.
+ *
+ * - consumption: imported + produced - exported power (W); measure_power alone is only the grid import
+ * - self-consumption: share of the production used by the household (%)
+ * - self-sufficiency: share of the consumption covered by the production (%)
+ *
+ * Both percentages are published instantaneous (from the power registers) and cumulative (from the lifetime
+ * energy counters). A metric is left out of the payload while one of its inputs has not been read yet.
+ * A metric that is undefined (e.g. self-consumption with no production at night) is published as null, so that
+ * its capability is cleared instead of keeping the last daytime value.
+ *
+ * @example
+ * DerivedMetrics.compute(sinapsi.getLastSensorData());
+ * // => [{ id: 'measure_power.consumption', value: 1800, unit: 'W', ... }, { id: 'self_consumption', value: 75, ... }]
+ */
+
+// Instantaneous power (W) and lifetime energy (Wh) sensors
+const POWER = { imported: 'measure_power', exported: 'measure_power.exported', produced: 'measure_power.produced' };
+const ENERGY = { imported: 'meter_power.imported', exported: 'meter_power.exported', produced: 'pro_tot' };
+
+const METRICS = [
+  {
+    id: 'measure_power.consumption',
+    name: 'Household Consumption',
+    unit: 'W',
+    inputs: POWER,
+    compute: ({ imported, exported, produced }) => Math.max(0, imported + produced - exported)
+  },
+  {
+    id: 'self_consumption',
+    name: 'Self-consumption',
+    unit: '%',
+    inputs: POWER,
+    compute: ({ exported, produced }) => percentage(produced - exported, produced)
+  },
+  {
+    id: 'self_sufficiency',
+    name: 'Self-sufficiency',
+    unit: '%',
+    inputs: POWER,
+    compute: ({ imported, exported, produced }) => percentage(produced - exported, imported + produced - exported)
+  },
+  {
+    id: 'self_consumption.total',
+    name: 'Self-consumption (lifetime)',
+    unit: '%',
+    inputs: ENERGY,
+    compute: ({ exported, produced }) => percentage(produced - exported, produced)
+  },
+  {
+    id: 'self_sufficiency.total',
+    name: 'Self-sufficiency (lifetime)',
+    unit: '%',
+    inputs: ENERGY,
+    compute: ({ imported, exported, produced }) => percentage(produced - exported, imported + produced - exported)
+  }
+];
+
+/**
+ * Returns part / total in percent, clamped to 0..100 and rounded to 0.1, or null if total is not positive
+ */
+function percentage(part, total) {
+  if (!(total > 0)) return null;
+  const value = Math.min(100, Math.max(0, part / total * 100));
+  return Math.round(value * 10) / 10;
+}
+
+class DerivedMetrics {
+  /**
+   * Ids of the derived metrics
+   * @returns {Array<string>}
+   */
+  static get ids() {
+    return METRICS.map(metric => metric.id);
+  }
+
+  /**
+   * Computes the derived metrics from the latest sensor data
+   * @param {Array<Object>} sensorDataArray - The latest data of every sensor (SinapsiConnect.getLastSensorData())
+   * @returns {Array<Object>} - Sensor data of the derived metrics, shaped like the read ones (value null while
+   *          undefined). The timestamp is the one of the oldest input.
+   */
+  static compute(sensorDataArray) {
+    const data = new Map(sensorDataArray.map(sensor => [sensor.id, sensor]));
+    const results = [];
+
+    for (const metric of METRICS) {
+      const inputs = Object.entries(metric.inputs).map(([name, id]) => [name, data.get(id)]);
+      if (inputs.some(([, sensor]) => !sensor)) continue;
+
+      const value = metric.compute(Object.fromEntries(inputs.map(([name, sensor]) => [name, sensor.value])));
+
+      results.push({
+        id: metric.id,
+        capability: true,
+        name: metric.name,
+        value,
+        unit: metric.unit,
+        type: 'derived',
+        timestamp: Math.min(...inputs.map(([, sensor]) => sensor.timestamp))
+      });
+    }
+    return results;
+  }
+}
+
+module.exports = DerivedMetrics;
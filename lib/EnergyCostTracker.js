@@ -0,0 +1,147 @@
+'use strict';
+
+const { getDayKey, getMonthKey } = require('./TimeUtils');
+
+const PERIODS = ['today', 'month', 'total'];
+
+/**
+ * Running energy cost and feed-in revenue, from the deltas of the lifetime import / export counters.
+ *
+ * Each imported delta is priced with the €/kWh of the tariff band current at the time of the delta,
+ * each exported delta with the feed-in price. Totals are kept for today, this month and since the last reset
+ * (days and months in the Homey timezone). A decrease of a counter (meter replaced) is not priced: the
+ * tracking restarts from the new value. Neither is the delta of a read more than MAX_READ_GAP after the previous
+ * one (app stopped, Alfa unreachable): the bands it spans are unknown, so it is dropped instead of being priced
+ * with the current one. The state is meant to be persisted by the caller (device store).
+ *
+ * @example
+ * const tracker = new EnergyCostTracker(device.getStoreValue('energyCost'), 'Europe/Rome');
+ * tracker.setPrices({ bands: { F1: 0.25, F2: 0.22, F3: 0.18 }, feedIn: 0.1 });
+ * tracker.update({ imported: 1250000, exported: 300000, band: 'F1' }, Date.now());
+ * // => { summary: null, dropped: null } or, on the first update of a new day,
+ * //    { summary: { day: '2025-01-15', cost: 3.42, revenue: 0.8, imported: 14.2, exported: 8 } }
+ * tracker.state.today; // => { cost: 0.05, revenue: 0, imported: 0.2, exported: 0 }
+ */
+class EnergyCostTracker {
+  static MAX_READ_GAP = 15 * 60 * 1000;
+
+  /**
+   * @param {Object|null} [state=null] - The state of a previous instance
+   * @param {string} [timeZone] - IANA timezone of the days and months
+   */
+  constructor(state = null, timeZone = undefined) {
+    this.timeZone = timeZone;
+    this.prices = { bands: {}, feedIn: 0 };
+    this.state = state || {
+      counters: null, // { imported, exported } in Wh, at the last update
+      counterTime: null, // Time of the last update
+      dayKey: null,
+      monthKey: null,
+      resetTime: null,
+      today: EnergyCostTracker._emptyPeriod(),
+      month: EnergyCostTracker._emptyPeriod(),
+      total: EnergyCostTracker._emptyPeriod()
+    };
+  }
+
+  /**
+   * Sets the prices used from now on (€/kWh)
+   * @param {Object} prices - { bands: { F1..F6 }, feedIn }; missing prices count as 0
+   */
+  setPrices(prices) {
+    this.prices = { bands: { ...prices.bands }, feedIn: prices.feedIn || 0 };
+  }
+
+  /**
+   * Prices the energy imported and exported since the last update
+   * @param {Object} reading - { imported, exported } lifetime counters in Wh, band: current tariff band ('F1'..'F6')
+   * @param {number} time - Time of the reading in milliseconds
+   * @returns {{summary: Object|null, dropped: Object|null}} - The totals of the previous day, when this is the first
+   *   update of a new day, and the { imported, exported } kWh not priced after a gap in the reads
+   */
+  update({ imported, exported, band }, time) {
+    const state = this.state;
+    const day = getDayKey(time, this.timeZone);
+    const month = getMonthKey(time, this.timeZone);
+    let summary = null;
+    let dropped = null;
+
+    if (state.dayKey !== null && state.dayKey !== day) {
+      summary = { day: state.dayKey, ...EnergyCostTracker._round(state.today) };
+      state.today = EnergyCostTracker._emptyPeriod();
+    }
+    if (state.monthKey !== null && state.monthKey !== month) {
+      state.month = EnergyCostTracker._emptyPeriod();
+    }
+    state.dayKey = day;
+    state.monthKey = month;
+    if (state.resetTime === null) {
+      state.resetTime = time;
+    }
+
+    if (state.counters) {
+      const importedDelta = imported - state.counters.imported;
+      const exportedDelta = exported - state.counters.exported;
+      const gap = !state.counterTime || time - state.counterTime > EnergyCostTracker.MAX_READ_GAP;
+
+      if (gap) {
+        dropped = {
+          imported: Math.max(importedDelta, 0) / 1000,
+          exported: Math.max(exportedDelta, 0) / 1000
+        };
+      } else {
+        if (importedDelta > 0) {
+          this._add('cost', 'imported', importedDelta / 1000, this.prices.bands[band] || 0);
+        }
+        if (exportedDelta > 0) {
+          this._add('revenue', 'exported', exportedDelta / 1000, this.prices.feedIn);
+        }
+      }
+    }
+    state.counters = { imported, exported };
+    state.counterTime = time;
+
+    return { summary, dropped };
+  }
+
+  /**
+   * Rounded totals of a period
+   * @param {string} period - 'today', 'month' or 'total'
+   * @returns {{cost: number, revenue: number, imported: number, exported: number}} - € and kWh
+   */
+  getTotals(period) {
+    return EnergyCostTracker._round(this.state[period]);
+  }
+
+  /**
+   * Clears the totals since reset (today and this month are kept)
+   * @param {number} time - Time of the reset in milliseconds
+   */
+  reset(time) {
+    this.state.total = EnergyCostTracker._emptyPeriod();
+    this.state.resetTime = time;
+  }
+
+  _add(amountKey, energyKey, kWh, price) {
+    for (const period of PERIODS) {
+      const totals = this.state[period];
+      totals[amountKey] += kWh * price;
+      totals[energyKey] += kWh;
+    }
+  }
+
+  static _emptyPeriod() {
+    return { cost: 0, revenue: 0, imported: 0, exported: 0 };
+  }
+
+  static _round(totals) {
+    return {
+      cost: Math.round(totals.cost * 100) / 100,
+      revenue: Math.round(totals.revenue * 100) / 100,
+      imported: Math.round(totals.imported * 1000) / 1000,
+      exported: Math.round(totals.exported * 1000) / 1000
+    };
+  }
+}
+
+module.exports = EnergyCostTracker;
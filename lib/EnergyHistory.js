@@ -0,0 +1,262 @@
+'use strict';
+
+const fs = require('fs');
+const { writeJsonAtomic } = require('./FileUtils');
+const { getDayKey, getHourKey } = require('./TimeUtils');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Lifetime counters (Wh) of the taskCompleted payload, by metric
+const COUNTERS = {
+  imported: 'meter_power.imported',
+  exported: 'meter_power.exported',
+  produced: 'pro_tot'
+};
+
+/**
+ * Local history of the energy of an Alfa, in hourly and daily buckets, kept in a JSON file in /userdata.
+ *
+ * Every taskCompleted payload adds to the bucket of the current hour and day (Homey timezone):
+ * - the deltas of the lifetime import, export and production counters, per tariff band (`energy_phase`);
+ *   a decrease of a counter (meter replaced) is not counted, the tracking restarts from the new value; neither is
+ *   the delta of a read more than MAX_READ_GAP after the previous one (app stopped, Alfa unreachable), whose
+ *   hours and bands are unknown: it is dropped instead of being added to the current ones;
+ * - every new `measure_power` read, for the average and maximum import power.
+ *
+ * The history is written every few minutes by the caller (`save()`), not on every payload, to spare the storage.
+ * Saving also compacts it: hourly buckets are kept for `hourlyDays` days, daily buckets for `dailyDays` days,
+ * so the detail of the older days is reduced to their daily totals. Both retentions are capped, which bounds
+ * the size of the file (below 1 MB).
+ *
+ * @example
+ * const history = new EnergyHistory('/userdata/energy_history_alfa-1.json', 'Europe/Rome');
+ * history.setRetention({ hourlyDays: 31, dailyDays: 730 });
+ * history.add(sensorDataArray);
+ * history.save(Date.now());
+ * history.query({ from: Date.now() - 86400000, to: Date.now(), granularity: 'hour', metrics: ['imported', 'power'] });
+ * // => [{ period: '2025-01-15T10', imported: { F1: 0.42, total: 0.42 }, power: { average: 1680, max: 3120 } }, ...]
+ */
+class EnergyHistory {
+  static METRICS = ['imported', 'exported', 'produced', 'power'];
+  static GRANULARITIES = ['hour', 'day'];
+  static DEFAULTS = { hourlyDays: 31, dailyDays: 730 };
+  static MAX_HOURLY_DAYS = 92;
+  static MAX_DAILY_DAYS = 3660;
+  static MAX_READ_GAP = 15 * 60 * 1000;
+
+  /**
+   * @param {string} file - Path of the history file
+   * @param {string} [timeZone] - IANA timezone of the hours and days
+   */
+  constructor(file, timeZone = undefined) {
+    this.file = file;
+    this.timeZone = timeZone;
+    this.retention = { ...EnergyHistory.DEFAULTS };
+    this.data = this._load();
+    this.dirty = false;
+    this.lastCounterTime = null;
+    this.lastPowerTime = null;
+  }
+
+  /**
+   * Sets the retention applied by the next compaction
+   * @param {Object} retention - { hourlyDays, dailyDays }; missing values keep the default, values are capped
+   */
+  setRetention({ hourlyDays, dailyDays }) {
+    const clamp = (value, fallback, max) => Math.min(Math.max(Math.round(value) || fallback, 1), max);
+    this.retention = {
+      hourlyDays: clamp(hourlyDays, EnergyHistory.DEFAULTS.hourlyDays, EnergyHistory.MAX_HOURLY_DAYS),
+      dailyDays: clamp(dailyDays, EnergyHistory.DEFAULTS.dailyDays, EnergyHistory.MAX_DAILY_DAYS)
+    };
+  }
+
+  /**
+   * Adds the new reads of a taskCompleted payload to the current buckets
+   * @param {Array<Object>} sensorDataArray - The taskCompleted payload ({ id, value, timestamp })
+   */
+  add(sensorDataArray) {
+    const find = id => sensorDataArray.find(sensor => sensor.id === id);
+
+    // The counters are read less often than the payload is published
+    const imported = find(COUNTERS.imported);
+    if (imported && imported.timestamp !== this.lastCounterTime) {
+      this.lastCounterTime = imported.timestamp;
+      const band = find('energy_phase');
+      this._addCounters(sensorDataArray, band ? `F${band.value}` : null, imported.timestamp);
+    }
+
+    const power = find('measure_power');
+    if (power && power.timestamp !== this.lastPowerTime) {
+      this.lastPowerTime = power.timestamp;
+      for (const bucket of this._getBuckets(power.timestamp)) {
+        bucket.power.sum += power.value;
+        bucket.power.count++;
+        bucket.power.max = bucket.power.max === null ? power.value : Math.max(bucket.power.max, power.value);
+      }
+      this.dirty = true;
+    }
+  }
+
+  /**
+   * Buckets of a time range, oldest first
+   * @param {Object} options
+   * @param {number} options.from - Start of the range in milliseconds (its hour or day is included)
+   * @param {number} options.to - End of the range in milliseconds (its hour or day is included)
+   * @param {string} [options.granularity='hour'] - 'hour' or 'day'
+   * @param {Array<string>} [options.metrics] - Among METRICS (default: all)
+   * @returns {Array<Object>} - { period (local YYYY-MM-DDTHH or YYYY-MM-DD), imported / exported / produced:
+   *   { F1..F6, total } in kWh, power: { average, max } in W }
+   */
+  query({ from, to, granularity = 'hour', metrics = EnergyHistory.METRICS }) {
+    if (!EnergyHistory.GRANULARITIES.includes(granularity)) {
+      throw new Error(`Invalid granularity: ${granularity}`);
+    }
+    const unknown = metrics.find(metric => !EnergyHistory.METRICS.includes(metric));
+    if (unknown) {
+      throw new Error(`Invalid metric: ${unknown}`);
+    }
+
+    const toKey = granularity === 'hour' ? getHourKey : getDayKey;
+    const first = toKey(from, this.timeZone);
+    const last = toKey(to, this.timeZone);
+    const buckets = granularity === 'hour' ? this.data.hourly : this.data.daily;
+
+    return Object.keys(buckets)
+      .filter(key => key >= first && key <= last)
+      .sort()
+      .map(key => {
+        const row = { period: key };
+        for (const metric of metrics) {
+          row[metric] = metric === 'power'
+            ? EnergyHistory._roundPower(buckets[key].power)
+            : EnergyHistory._roundEnergy(buckets[key][metric]);
+        }
+        return row;
+      });
+  }
+
+  /**
+   * Compacts the history and writes it, if it changed since the last save
+   * @param {number} time - Current time in milliseconds
+   */
+  save(time) {
+    if (!this.dirty) return;
+
+    this.compact(time);
+    try {
+      writeJsonAtomic(this.file, this.data);
+      this.dirty = false;
+    } catch (error) {
+      console.error('EnergyHistory save error:', error.message);
+    }
+  }
+
+  /**
+   * Drops the buckets older than the retention
+   * @param {number} time - Current time in milliseconds
+   */
+  compact(time) {
+    const hourlyStart = getHourKey(time - this.retention.hourlyDays * DAY, this.timeZone);
+    const dailyStart = getDayKey(time - this.retention.dailyDays * DAY, this.timeZone);
+    EnergyHistory._prune(this.data.hourly, hourlyStart);
+    EnergyHistory._prune(this.data.daily, dailyStart);
+  }
+
+  /**
+   * Deletes the history file (device deleted)
+   */
+  remove() {
+    this.data = EnergyHistory._empty();
+    this.dirty = false;
+    try {
+      fs.rmSync(this.file, { force: true });
+    } catch (error) {
+      console.error('EnergyHistory remove error:', error.message);
+    }
+  }
+
+  _addCounters(sensorDataArray, band, time) {
+    const counters = this.data.counters;
+    // The counters are persisted with the history: after a restart the previous read may be one save interval old
+    const gap = !this.data.counterTime || time - this.data.counterTime > EnergyHistory.MAX_READ_GAP;
+
+    for (const [metric, id] of Object.entries(COUNTERS)) {
+      const sensor = sensorDataArray.find(s => s.id === id);
+      if (!sensor) continue;
+
+      const delta = counters[metric] !== undefined ? sensor.value - counters[metric] : 0;
+      counters[metric] = sensor.value;
+      if (delta <= 0 || !band || gap) continue;
+
+      for (const bucket of this._getBuckets(time)) {
+        bucket[metric][band] = (bucket[metric][band] || 0) + delta;
+      }
+    }
+    this.data.counterTime = time;
+    this.dirty = true;
+  }
+
+  _getBuckets(time) {
+    const hour = getHourKey(time, this.timeZone);
+    const day = getDayKey(time, this.timeZone);
+    if (!this.data.hourly[hour]) this.data.hourly[hour] = EnergyHistory._emptyBucket();
+    if (!this.data.daily[day]) this.data.daily[day] = EnergyHistory._emptyBucket();
+    return [this.data.hourly[hour], this.data.daily[day]];
+  }
+
+  _load() {
+    try {
+      if (!fs.existsSync(this.file)) return EnergyHistory._empty();
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (!data || !data.hourly || !data.daily || !data.counters) return EnergyHistory._empty();
+      return data;
+    } catch (error) {
+      console.error('EnergyHistory load error:', error.message);
+      return EnergyHistory._empty();
+    }
+  }
+
+  static _prune(buckets, firstKey) {
+    for (const key of Object.keys(buckets)) {
+      if (key < firstKey) delete buckets[key];
+    }
+  }
+
+  static _empty() {
+    return {
+      counters: {}, // { imported, exported, produced } in Wh, at the last counter read
+      counterTime: null, // Time of the last counter read
+      hourly: {},
+      daily: {}
+    };
+  }
+
+  static _emptyBucket() {
+    return {
+      imported: {}, // Wh per tariff band
+      exported: {},
+      produced: {},
+      power: { sum: 0, count: 0, max: null }
+    };
+  }
+
+  static _roundEnergy(bands) {
+    const result = {};
+    let total = 0;
+    for (const band of Object.keys(bands).sort()) {
+      result[band] = Math.round(bands[band]) / 1000;
+      total += bands[band];
+    }
+    result.total = Math.round(total) / 1000;
+    return result;
+  }
+
+  static _roundPower({ sum, count, max }) {
+    return {
+      average: count > 0 ? Math.round(sum / count) : null,
+      max
+    };
+  }
+}
+
+module.exports = EnergyHistory;
@@ -21,6 +21,7 @@ class FileLogger {
       successfulReads: 0,
       failedReads: 0,
       reconnections: 0,
+      rejectedValues: 0,
       lastSuccessfulRead: null,
       lastFailedRead: null,
       lastPowerValue: null,
@@ -170,6 +171,7 @@ class FileLogger {
       `  - Failed reads: ${this.stats.failedReads}`,
       `  - Success rate: ${successRate}%`,
       `  - Reconnections: ${this.stats.reconnections}`,
+      `  - Rejected values: ${this.stats.rejectedValues}`,
       `  - Last power value: ${this.stats.lastPowerValue}W`,
       `  - Last successful: ${this.stats.lastSuccessfulRead || 'never'}`,
       `  - Last failed: ${this.stats.lastFailedRead || 'never'}`
@@ -181,6 +183,7 @@ class FileLogger {
     this.stats.successfulReads = 0;
     this.stats.failedReads = 0;
     this.stats.reconnections = 0;
+    this.stats.rejectedValues = 0;
   }
 
   /**
@@ -284,9 +287,17 @@ class FileLogger {
   /**
    * Record reconnection
    */
-  recordReconnection(attempt, maxAttempts, reason) {
+  recordReconnection(attempt, delayMs, reason) {
     this.stats.reconnections++;
-    this.warn('MODBUS', `Reconnection attempt ${attempt}/${maxAttempts}`, { reason });
+    this.warn('MODBUS', `Reconnection attempt ${attempt} in ${Math.round(delayMs / 1000)}s`, { reason });
+  }
+
+  /**
+   * Record a value rejected by the plausibility checks (log + statistics)
+   */
+  recordRejectedValue(sensorId, value, reason) {
+    this.stats.rejectedValues++;
+    this.warn('VALIDATOR', `Rejected ${sensorId} = ${value}: ${reason}`);
   }
 
   /**
@@ -0,0 +1,27 @@
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Helpers for the JSON files kept in /userdata.
+ *
+ * @example
+ * writeJsonAtomic('/userdata/alarm_history.json', episodes);
+ */
+
+/**
+ * Writes a value as JSON through a temporary file renamed over the target, so a crash never leaves a
+ * truncated file: a reader finds either the previous content or the new one.
+ * @param {string} file - Path of the file
+ * @param {*} value - The value to write
+ * @throws {Error} If the file cannot be written (the target is left untouched)
+ */
+function writeJsonAtomic(file, value) {
+  const tempFile = `${file}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(value));
+  fs.renameSync(tempFile, file);
+}
+
+module.exports = {
+  writeJsonAtomic
+};
@@ -0,0 +1,227 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+/**
+ * Load shedding driven by the disconnection warnings of an Alfa.
+ *
+ * On the first disconnection warning, the loads (Homey devices with onoff) are switched off one at a time,
+ * in priority order, waiting stepDelay between them, until the imported power drops below powerLimit or the
+ * warning stops. Loads that are already off are skipped, so they are not switched on afterwards. When the
+ * warning stops, the loads are switched on again in reverse order, restoreDelay after the stop and stepDelay
+ * between them. A new warning during the restore resumes the shedding.
+ *
+ * Devices are switched through the functions passed to the constructor; every action is emitted as an
+ * 'action' event ({ time, action, deviceId, name, power, error }).
+ *
+ * @example
+ * const shedder = new LoadShedder(homey, {
+ *   getState: async (deviceId) => true, // onoff value of the load
+ *   setState: async (deviceId, on) => {}
+ * });
+ * shedder.setConfig({ enabled: true, powerLimit: 3300, loads: [{ id: 'abc', name: 'EV charger' }] });
+ * shedder.onWarning(alfaId);
+ */
+class LoadShedder extends EventEmitter {
+  /**
+   * Default configuration (delays in seconds)
+   * @constant {Object}
+   */
+  static DEFAULTS = {
+    enabled: false,
+    deviceId: '', // Alfa device whose warnings drive the shedding ('' = any)
+    powerLimit: 0, // W; 0 sheds until the warning stops
+    stepDelay: 10,
+    restoreDelay: 300,
+    loads: [] // [{ id, name }] in priority order (first is shed first)
+  };
+
+  /**
+   * @param {Object} homey - The Homey instance (timers)
+   * @param {Object} switches - { getState: async (deviceId) => boolean, setState: async (deviceId, on) => void }
+   */
+  constructor(homey, switches) {
+    super();
+    this.homey = homey;
+    this.getState = switches.getState;
+    this.setState = switches.setState;
+    this.config = { ...LoadShedder.DEFAULTS };
+    this.state = 'idle'; // idle | shedding | restoring
+    this.shed = []; // Loads switched off by the shedder, in shedding order
+    this.power = null;
+    this.timer = null;
+    this.busy = false;
+  }
+
+  /**
+   * Applies a new configuration (app setting 'loadShedding'); disabling it restores the shed loads
+   * @param {Object|null} config - Overrides of LoadShedder.DEFAULTS
+   */
+  setConfig(config) {
+    this.config = { ...LoadShedder.DEFAULTS, ...config };
+
+    if (!this.config.enabled && this.state === 'shedding') {
+      this._log('disabled');
+      this._scheduleRestore(0);
+    }
+  }
+
+  /**
+   * First disconnection warning of an Alfa: starts (or resumes) the shedding
+   * @param {string} deviceId - The Alfa device id
+   */
+  onWarning(deviceId) {
+    if (!this.config.enabled || !this._isSource(deviceId) || this.state === 'shedding') return;
+
+    this._clearTimer();
+    this.state = 'shedding';
+    this._log('started');
+    this._shedNext();
+  }
+
+  /**
+   * End of the disconnection warning of an Alfa: restores the loads after restoreDelay
+   * @param {string} deviceId - The Alfa device id
+   */
+  onStopWarning(deviceId) {
+    if (!this._isSource(deviceId) || this.state !== 'shedding') return;
+
+    this._log('warningStopped');
+    this._scheduleRestore(this.config.restoreDelay * 1000);
+  }
+
+  /**
+   * Latest imported power of an Alfa
+   * @param {string} deviceId - The Alfa device id
+   * @param {number} power - Imported power (W)
+   */
+  updatePower(deviceId, power) {
+    if (this._isSource(deviceId)) {
+      this.power = power;
+    }
+  }
+
+  /**
+   * Current state, for the settings page
+   * @returns {{state: string, shed: Array<Object>, power: number|null}}
+   */
+  getStatus() {
+    return { state: this.state, shed: [...this.shed], power: this.power };
+  }
+
+  /**
+   * Cancels the pending steps (app shutdown); the shed loads stay off
+   */
+  destroy() {
+    this._clearTimer();
+    this.state = 'idle';
+  }
+
+  _isSource(deviceId) {
+    return !this.config.deviceId || this.config.deviceId === deviceId;
+  }
+
+  async _shedNext() {
+    if (this.state !== 'shedding' || this.busy) return;
+
+    if (this.config.powerLimit > 0 && this.power !== null && this.power < this.config.powerLimit) {
+      // Keep watching: the power may rise again while the warning is active
+      this._schedule(() => this._shedNext(), this.config.stepDelay * 1000);
+      return;
+    }
+
+    const shedIds = new Set(this.shed.map(load => load.id));
+    const candidates = this.config.loads.filter(load => !shedIds.has(load.id));
+
+    this.busy = true;
+    try {
+      for (const load of candidates) {
+        if (this.state !== 'shedding') return;
+
+        let on;
+        try {
+          on = await this.getState(load.id);
+        } catch (error) {
+          this._log('failed', load, error);
+          continue;
+        }
+        if (!on) {
+          this._log('skipped', load);
+          continue;
+        }
+
+        try {
+          await this.setState(load.id, false);
+          this.shed.push(load);
+          this._log('shed', load);
+        } catch (error) {
+          this._log('failed', load, error);
+          continue;
+        }
+
+        // Give the power reading time to drop before the next load
+        this._schedule(() => this._shedNext(), this.config.stepDelay * 1000);
+        return;
+      }
+
+      this._log('noMoreLoads');
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  _scheduleRestore(delay) {
+    this.state = 'restoring';
+    this._schedule(() => this._restoreNext(), delay);
+  }
+
+  async _restoreNext() {
+    if (this.state !== 'restoring') return;
+
+    const load = this.shed.pop();
+    if (!load) {
+      this.state = 'idle';
+      this._log('completed');
+      return;
+    }
+
+    try {
+      await this.setState(load.id, true);
+      this._log('restored', load);
+    } catch (error) {
+      this._log('failed', load, error);
+    }
+
+    if (this.state === 'restoring') {
+      this._schedule(() => this._restoreNext(), this.shed.length > 0 ? this.config.stepDelay * 1000 : 0);
+    }
+  }
+
+  _schedule(callback, delay) {
+    this._clearTimer();
+    this.timer = this.homey.setTimeout(() => {
+      this.timer = null;
+      callback();
+    }, delay);
+  }
+
+  _clearTimer() {
+    if (this.timer) {
+      this.homey.clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  _log(action, load = null, error = null) {
+    this.emit('action', {
+      time: Date.now(),
+      action,
+      deviceId: load ? load.id : null,
+      name: load ? load.name : null,
+      power: this.power,
+      error: error ? error.message : null
+    });
+  }
+}
+
+module.exports = LoadShedder;
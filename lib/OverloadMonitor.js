@@ -0,0 +1,100 @@
+'use strict';
+
+/**
+ * Local prediction of an overload disconnection, from the imported power.
+ *
+ * Italian meters allow the contractual power plus a tolerance (10%) indefinitely. Above it they tolerate
+ * an overrun up to a second threshold (27%) for a limited time (180 minutes), and anything above that
+ * threshold for a short time (2 minutes), then they disconnect. The monitor tracks for how long the power
+ * has been continuously above each threshold and estimates the seconds left before the meter disconnects,
+ * well before the Alfa raises its own alarm (register 780).
+ *
+ * @example
+ * const monitor = new OverloadMonitor({ contractualPower: 3000 });
+ * monitor.update(3500, Date.now());
+ * // => { level: 'overrun', power: 3500, threshold: 3300, seconds: 10800, escalated: true }
+ */
+class OverloadMonitor {
+  /**
+   * Default limits of an Italian meter
+   * @constant {Object}
+   */
+  static DEFAULTS = {
+    contractualPower: 3000, // W
+    tolerancePercent: 10, // Allowed indefinitely
+    overrunPercent: 27, // Allowed for overrunMinutes, above it for peakSeconds
+    overrunMinutes: 180,
+    peakSeconds: 120
+  };
+
+  /**
+   * @param {Object} [limits] - Overrides of OverloadMonitor.DEFAULTS
+   */
+  constructor(limits = {}) {
+    this.setLimits(limits);
+    this.since = { overrun: null, peak: null }; // Time the power went above each threshold
+    this.level = 'normal';
+  }
+
+  /**
+   * Sets the limits; the time already spent above the thresholds is kept
+   * @param {Object} limits - Overrides of OverloadMonitor.DEFAULTS
+   */
+  setLimits(limits) {
+    const { contractualPower, tolerancePercent, overrunPercent, overrunMinutes, peakSeconds } = { ...OverloadMonitor.DEFAULTS, ...limits };
+
+    this.thresholds = {
+      overrun: Math.round(contractualPower * (1 + tolerancePercent / 100)),
+      peak: Math.round(contractualPower * (1 + overrunPercent / 100))
+    };
+    this.durations = { overrun: overrunMinutes * 60 * 1000, peak: peakSeconds * 1000 };
+  }
+
+  /**
+   * Records a power reading
+   * @param {number} power - Imported power (W)
+   * @param {number} time - Time of the reading in milliseconds
+   * @returns {{level: string, power: number, threshold: number|null, seconds: number|null, escalated: boolean}}
+   *          level: 'normal', 'overrun' or 'peak'; seconds: estimated time left before the disconnection;
+   *          escalated: true when the level is higher than on the previous reading
+   */
+  update(power, time) {
+    for (const level of ['overrun', 'peak']) {
+      if (power > this.thresholds[level]) {
+        if (this.since[level] === null) this.since[level] = time;
+      } else {
+        this.since[level] = null;
+      }
+    }
+
+    const previousLevel = this.level;
+    this.level = this.since.peak !== null ? 'peak' : this.since.overrun !== null ? 'overrun' : 'normal';
+
+    return {
+      level: this.level,
+      power,
+      threshold: this.level === 'normal' ? null : this.thresholds[this.level],
+      seconds: this._getSecondsLeft(time),
+      escalated: OverloadMonitor._rank(this.level) > OverloadMonitor._rank(previousLevel)
+    };
+  }
+
+  /**
+   * Seconds left before the first threshold runs out of time, or null below the thresholds
+   */
+  _getSecondsLeft(time) {
+    let left = null;
+    for (const level of ['overrun', 'peak']) {
+      if (this.since[level] === null) continue;
+      const remaining = Math.max(0, this.durations[level] - (time - this.since[level]));
+      left = left === null ? remaining : Math.min(left, remaining);
+    }
+    return left === null ? null : Math.round(left / 1000);
+  }
+
+  static _rank(level) {
+    return ['normal', 'overrun', 'peak'].indexOf(level);
+  }
+}
+
+module.exports = OverloadMonitor;
@@ -0,0 +1,84 @@
+'use strict';
+
+/**
+ * Threshold crossings with hysteresis and minimum duration, for the power trigger cards.
+ *
+ * The same card can be used by several flows with different arguments ({ threshold, hysteresis, duration }),
+ * so a state is kept per card and per set of arguments. An 'above' threshold fires once when the value has
+ * stayed above it for duration minutes, and is armed again only when the value falls to threshold - hysteresis
+ * (a 'below' threshold mirrors it). A value already past the threshold on the first reading is not a crossing.
+ *
+ * @example
+ * const thresholds = new PowerThresholds();
+ * const args = await card.getArgumentValues(device); // [{ threshold: 3000, hysteresis: 200, duration: 5 }]
+ * thresholds.update('power_rose_above', 'above', args, 3400, Date.now());
+ * // => [{ key: '3000|200|5', threshold: 3000 }] once the power has been above 3000 W for 5 minutes
+ */
+class PowerThresholds {
+  constructor() {
+    this.states = new Map(); // `${card}|${key}` -> { armed, since }
+  }
+
+  /**
+   * Identifies a set of card arguments (the trigger state, matched by the run listener)
+   * @param {Object} args - { threshold, hysteresis, duration }
+   * @returns {string}
+   */
+  static key(args) {
+    return `${args.threshold}|${args.hysteresis || 0}|${args.duration || 0}`;
+  }
+
+  /**
+   * Evaluates the arguments of the flows using a card against a reading
+   * @param {string} card - The card id
+   * @param {string} direction - 'above' or 'below'
+   * @param {Array<Object>} argsList - Arguments of the flows using the card (card.getArgumentValues)
+   * @param {number} value - The reading
+   * @param {number} time - Time of the reading in milliseconds
+   * @returns {Array<{key: string, threshold: number}>} - The arguments that fire with this reading
+   */
+  update(card, direction, argsList, value, time) {
+    const sign = direction === 'below' ? -1 : 1;
+    const fired = [];
+    const current = new Set();
+
+    for (const args of argsList) {
+      const key = PowerThresholds.key(args);
+      const id = `${card}|${key}`;
+      if (current.has(id)) continue; // Same arguments in several flows: one trigger runs them all
+      current.add(id);
+
+      const threshold = sign * args.threshold;
+      const reading = sign * value;
+      let state = this.states.get(id);
+      if (!state) {
+        state = { armed: reading <= threshold, since: null };
+        this.states.set(id, state);
+      }
+
+      if (reading > threshold) {
+        if (state.since === null) state.since = time;
+        if (state.armed && time - state.since >= (args.duration || 0) * 60 * 1000) {
+          state.armed = false;
+          fired.push({ key, threshold: args.threshold });
+        }
+      } else {
+        state.since = null;
+        if (reading <= threshold - (args.hysteresis || 0)) {
+          state.armed = true;
+        }
+      }
+    }
+
+    // Forget the arguments no flow uses anymore
+    for (const id of this.states.keys()) {
+      if (id.startsWith(`${card}|`) && !current.has(id)) {
+        this.states.delete(id);
+      }
+    }
+
+    return fired;
+  }
+}
+
+module.exports = PowerThresholds;
@@ -0,0 +1,67 @@
+'use strict';
+
+const { QUARTER_HOUR, getDayKey, getMonthKey, getQuarterHourStart } = require('./TimeUtils');
+
+/**
+ * Daily and monthly record of the highest quarter-hour average import power.
+ *
+ * The Alfa publishes the average power of the last completed quarter-hour, so a value read at 10:07
+ * is the average of 09:45–10:00: the peak is recorded with the start of that quarter-hour, and the
+ * day and month it belongs to are the ones of the quarter-hour (the 23:45–00:00 average, read after
+ * midnight, still counts for the previous day). The state is meant to be persisted by the caller.
+ *
+ * @example
+ * const peaks = new QuarterHourPeaks(device.getStoreValue('quarterHourPeaks'), 'Europe/Rome');
+ * peaks.update(3200, Date.now()); // => { daily: true, monthly: false }
+ * peaks.state.daily; // => { key: '2025-01-15', value: 3200, time: 1736934300000 }
+ */
+class QuarterHourPeaks {
+  /**
+   * @param {Object|null} [state=null] - The state of a previous instance ({ daily, monthly })
+   * @param {string} [timeZone] - IANA timezone of the days and months
+   */
+  constructor(state = null, timeZone = undefined) {
+    this.state = { daily: null, monthly: null, ...state };
+    this.timeZone = timeZone;
+  }
+
+  /**
+   * Records a quarter-hour average
+   * @param {number} value - The quarter-hour average import power (W)
+   * @param {number} readTime - Time of the read in milliseconds
+   * @returns {{daily: boolean, monthly: boolean}} - Whether the value is a new daily / monthly peak
+   */
+  update(value, readTime) {
+    const time = getQuarterHourStart(readTime) - QUARTER_HOUR;
+
+    return {
+      daily: this._updatePeak('daily', getDayKey(time, this.timeZone), value, time),
+      monthly: this._updatePeak('monthly', getMonthKey(time, this.timeZone), value, time)
+    };
+  }
+
+  /**
+   * Peak of the current period, or null if none has been recorded yet
+   * @param {string} period - 'daily' or 'monthly'
+   * @param {number} now - Current time in milliseconds
+   * @returns {{key: string, value: number, time: number}|null}
+   */
+  getPeak(period, now) {
+    const peak = this.state[period];
+    const key = period === 'daily' ? getDayKey(now, this.timeZone) : getMonthKey(now, this.timeZone);
+    return peak && peak.key === key ? peak : null;
+  }
+
+  _updatePeak(period, key, value, time) {
+    const peak = this.state[period];
+
+    // A new day (month) starts a new record
+    if (peak && peak.key === key && value <= peak.value) {
+      return false;
+    }
+    this.state[period] = { key, value, time };
+    return true;
+  }
+}
+
+module.exports = QuarterHourPeaks;
@@ -0,0 +1,215 @@
+'use strict';
+
+class DecoderError extends Error {
+  constructor(code, text) {
+    super(text);
+    this.name = 'DecoderError';
+    this.code = code;
+  }
+}
+
+/**
+ * Number of 16-bit registers used by each supported data type
+ */
+const REGISTER_COUNT = Object.freeze({
+  uint16: 1,
+  int16: 1,
+  uint32: 2,
+  int32: 2,
+  float32: 2,
+  float: 2 // Alias of float32
+});
+
+/**
+ * Decodes raw Modbus register words into numbers (and back) as described by a sensor of config.sensors.
+ *
+ * Supported sensor fields:
+ * - type: 'uint16' | 'int16' | 'uint32' | 'int32' | 'float32' ('float' is an alias of 'float32')
+ * - wordOrder: 'big' (default, high word first) | 'little' (low word first)
+ * - byteOrder: 'big' (default, high byte first) | 'little' (bytes swapped within each word)
+ * - scale: multiplier applied to the raw value (default 1)
+ * - offset: added after scaling (default 0)
+ *
+ * @example
+ * RegisterDecoder.decode([0x8000, 0x0000], { type: 'uint32' }); // => 2147483648
+ * RegisterDecoder.decode([0xFFFF], { type: 'int16', scale: 0.1 }); // => -0.1
+ */
+class RegisterDecoder {
+  /**
+   * Returns the number of registers used by a data type
+   * @param {string} type - The data type
+   * @returns {number} - The register count
+   * @throws {DecoderError} If the type is not supported
+   */
+  static getRegisterCount(type) {
+    const count = REGISTER_COUNT[type];
+    if (count === undefined) {
+      throw new DecoderError('ERROR_UNSUPPORTED_TYPE', `Unsupported register type: ${type}`);
+    }
+    return count;
+  }
+
+  /**
+   * Checks that a sensor definition can be decoded
+   * @param {Object} sensor - The sensor configuration
+   * @throws {DecoderError} If the definition is invalid
+   */
+  static validate(sensor) {
+    const count = RegisterDecoder.getRegisterCount(sensor.type);
+    if (sensor.count !== count) {
+      throw new DecoderError('ERROR_REGISTER_COUNT', `Sensor ${sensor.id}: type ${sensor.type} needs ${count} register(s), count is ${sensor.count}`);
+    }
+    for (const field of ['wordOrder', 'byteOrder']) {
+      if (sensor[field] !== undefined && sensor[field] !== 'big' && sensor[field] !== 'little') {
+        throw new DecoderError('ERROR_BYTE_ORDER', `Sensor ${sensor.id}: ${field} must be 'big' or 'little'`);
+      }
+    }
+    for (const field of ['scale', 'offset']) {
+      if (sensor[field] !== undefined && !Number.isFinite(sensor[field])) {
+        throw new DecoderError('ERROR_SCALING', `Sensor ${sensor.id}: ${field} must be a finite number`);
+      }
+    }
+  }
+
+  /**
+   * Decodes the raw register words of a sensor
+   * @param {Array<number>} words - The raw register words (as returned by readHoldingRegisters)
+   * @param {Object} sensor - The sensor configuration
+   * @returns {number} - The decoded, scaled value
+   * @throws {DecoderError} If there are not enough words for the sensor type
+   */
+  static decode(words, sensor) {
+    const raw = RegisterDecoder.decodeRaw(words, sensor.type, sensor.wordOrder, sensor.byteOrder);
+    const scale = sensor.scale !== undefined ? sensor.scale : 1;
+    const offset = sensor.offset !== undefined ? sensor.offset : 0;
+
+    if (scale === 1 && offset === 0) {
+      return raw;
+    }
+    return raw * scale + offset;
+  }
+
+  /**
+   * Decodes raw register words into an unscaled number
+   * @param {Array<number>} words - The raw register words
+   * @param {string} type - The data type
+   * @param {string} [wordOrder='big'] - The word order
+   * @param {string} [byteOrder='big'] - The byte order within each word
+   * @returns {number} - The raw value
+   * @throws {DecoderError} If there are not enough words for the type
+   */
+  static decodeRaw(words, type, wordOrder = 'big', byteOrder = 'big') {
+    const buffer = RegisterDecoder._toBuffer(words, RegisterDecoder.getRegisterCount(type), wordOrder, byteOrder);
+
+    switch (type) {
+      case 'uint16':
+        return buffer.readUInt16BE(0);
+      case 'int16':
+        return buffer.readInt16BE(0);
+      case 'uint32':
+        return buffer.readUInt32BE(0);
+      case 'int32':
+        return buffer.readInt32BE(0);
+      default: // float32, float
+        return buffer.readFloatBE(0);
+    }
+  }
+
+  /**
+   * Encodes a value into register words (inverse of decode, used by the simulator and tests)
+   * @param {number} value - The scaled value
+   * @param {Object} sensor - The sensor configuration
+   * @returns {Array<number>} - The register words
+   */
+  static encode(value, sensor) {
+    const scale = sensor.scale !== undefined ? sensor.scale : 1;
+    const offset = sensor.offset !== undefined ? sensor.offset : 0;
+    const type = sensor.type;
+    const count = RegisterDecoder.getRegisterCount(type);
+    const raw = (value - offset) / scale;
+    const buffer = Buffer.alloc(count * 2);
+
+    switch (type) {
+      case 'uint16':
+        buffer.writeUInt16BE(Math.round(raw) & 0xFFFF, 0);
+        break;
+      case 'int16':
+        buffer.writeInt16BE(Math.round(raw), 0);
+        break;
+      case 'uint32':
+        buffer.writeUInt32BE(Math.round(raw) >>> 0, 0);
+        break;
+      case 'int32':
+        buffer.writeInt32BE(Math.round(raw), 0);
+        break;
+      default: // float32, float
+        buffer.writeFloatBE(raw, 0);
+    }
+
+    const words = [];
+    for (let i = 0; i < count; i++) {
+      words.push(sensor.byteOrder === 'little' ? buffer.readUInt16LE(i * 2) : buffer.readUInt16BE(i * 2));
+    }
+    return sensor.wordOrder === 'little' ? words.reverse() : words;
+  }
+
+  /**
+   * Decodes raw words in every supported way, for debugging unknown or wrong registers.
+   * Each word is decoded as uint16/int16, and together with the next word as uint32/int32/float32.
+   * @param {Array<number>} words - The raw register words
+   * @param {number} [address=0] - Address of the first word
+   * @param {string} [wordOrder='big'] - Word order of the 32-bit decodings
+   * @returns {Array<Object>} - One entry per word: { address, raw, hex, uint16, int16, uint32, int32, float32 }
+   *                            (32-bit fields are null on the last word)
+   *
+   * @example
+   * RegisterDecoder.inspect([0xFFFF, 0xFFFF, 0x0078], 780);
+   * // => [{ address: 780, raw: 65535, hex: '0xFFFF', uint16: 65535, int16: -1, uint32: 4294967295, int32: -1, float32: NaN }, ...]
+   */
+  static inspect(words, address = 0, wordOrder = 'big') {
+    return words.map((word, index) => {
+      const pair = words.slice(index, index + 2);
+      const hasPair = pair.length === 2;
+
+      return {
+        address: address + index,
+        raw: word,
+        hex: `0x${word.toString(16).toUpperCase().padStart(4, '0')}`,
+        uint16: RegisterDecoder.decodeRaw([word], 'uint16'),
+        int16: RegisterDecoder.decodeRaw([word], 'int16'),
+        uint32: hasPair ? RegisterDecoder.decodeRaw(pair, 'uint32', wordOrder) : null,
+        int32: hasPair ? RegisterDecoder.decodeRaw(pair, 'int32', wordOrder) : null,
+        float32: hasPair ? RegisterDecoder.decodeRaw(pair, 'float32', wordOrder) : null
+      };
+    });
+  }
+
+  /**
+   * Builds a big-endian buffer from register words, applying word and byte order
+   */
+  static _toBuffer(words, count, wordOrder, byteOrder) {
+    if (!Array.isArray(words) || words.length < count) {
+      throw new DecoderError('ERROR_SHORT_DATA', `Expected ${count} register(s), got ${words ? words.length : 0}`);
+    }
+
+    const ordered = words.slice(0, count);
+    if (wordOrder === 'little') {
+      ordered.reverse();
+    }
+
+    const buffer = Buffer.alloc(count * 2);
+    ordered.forEach((word, index) => {
+      if (byteOrder === 'little') {
+        buffer.writeUInt16LE(word & 0xFFFF, index * 2);
+      } else {
+        buffer.writeUInt16BE(word & 0xFFFF, index * 2);
+      }
+    });
+    return buffer;
+  }
+}
+
+module.exports = {
+  RegisterDecoder,
+  DecoderError
+};
\ No newline at end of file
@@ -2,6 +2,9 @@ const ModbusRTU = require("modbus-serial");
 const { TaskScheduler } = require("./TaskScheduler");
 const EventEmitter = require('events');
 const config = require("./config/config");
+const { RegisterDecoder } = require("./RegisterDecoder");
+const ValueValidator = require("./ValueValidator");
+const DerivedMetrics = require("./DerivedMetrics");
 
 class SinapsiConnect extends EventEmitter {
   /**
@@ -16,25 +19,38 @@ class SinapsiConnect extends EventEmitter {
    * @constructor
    * @param {Object} homey - The Homey instance.
    * @param {string} ip - The IP address of the Modbus server.
-   * @param {number} [updateInterval=30000] - The interval in milliseconds for updating data.
+   * @param {number} [updateInterval=30000] - The interval in milliseconds of the "normal" polling tier.
    * @param {boolean} [showLog=false] - Whether to show log messages.
    * @param {boolean} [showEnergyMonitoring=true] - Whether to include energy monitoring sensors.
    * @param {Object} [fileLogger=null] - FileLogger instance for persistent logging.
+   * @param {Object} [options={}] - Additional connection options.
+   * @param {number} [options.port=config.port] - Modbus TCP port.
+   * @param {number} [options.unitId=config.unitId] - Modbus unit ID (a gateway may use a different one).
+   * @param {number} [options.responseTimeout=config.responseTimeout] - Modbus client response timeout in milliseconds.
+   * @param {number} [options.readTimeout=config.readTimeout] - Timeout of a single read request in milliseconds.
+   * @param {Object} [options.reconnect] - Reconnection backoff ({ baseDelay, maxDelay, jitter }), overrides config.reconnect.
+   * @param {Object} [options.validation] - Plausibility rules ({ power, counter }), merged into config.validation.
+   * @param {Object} [options.supply] - Supply state machine ({ imminentSeconds, graceSeconds }), overrides config.supply.
    * 
    * @example
    * const sinapsiConnect = new SinapsiConnect(homeyInstance, '192.168.1.100', 30000, true, true);
    */
-  constructor(homey, ip, updateInterval = 30000, showLog = false, showEnergyMonitoring = true, fileLogger = null) {
+  constructor(homey, ip, updateInterval = 30000, showLog = false, showEnergyMonitoring = true, fileLogger = null, options = {}) {
     super();
     
     if (!ip) {
       throw new Error("IP address is required");
     }
+
+    const invalidSettings = SinapsiConnect.getInvalidConnectionSettings(options);
+    if (invalidSettings.length > 0) {
+      throw new Error(`Invalid connection settings: ${invalidSettings.join(', ')}`);
+    }
     
     // Set max listeners to prevent memory leak warnings
     this.setMaxListeners(20);
     
-    this.client = new ModbusRTU();
+    this.client = this._createClient();
     this.eventDate = undefined;
     this.remainingDisconnectionTime = undefined;
     this.warningTriggered = false;
@@ -43,25 +59,65 @@ class SinapsiConnect extends EventEmitter {
     this.countdownStartTime = null;
     this.countdownStartValue = null;
     
-    config.host = ip;
+    // Connection state is per instance: several Alfa devices can be polled at the same time
+    this.host = ip;
+    this.port = config.port;
+    this.unitId = config.unitId;
+    this.responseTimeout = config.responseTimeout;
+    this.readTimeout = config.readTimeout;
+    this._applyConnectionSettings(options);
     this.homey = homey;
     this.showLog = showLog;
     this.fileLogger = fileLogger; // FileLogger for persistent logging
     
+    // Fail fast on register map errors instead of publishing wrong numbers
+    config.sensors.forEach(sensor => RegisterDecoder.validate(sensor));
+
     // Freeze sensors array to prevent modifications and optimize memory
     this.sensors = Object.freeze(
       config.sensors.filter(sensor => 
         showEnergyMonitoring || sensor.id !== "meter_power.exported"
       )
     );
-    
+
+    // Resolve the polling interval of every sensor ("normal" tier follows updateInterval)
+    const pollTiers = { ...config.pollTiers, normal: updateInterval };
+    this.pollIntervals = new Map(this.sensors.map(sensor => [sensor, SinapsiConnect.resolvePollInterval(sensor, pollTiers)]));
+    this.lastPollTimes = new Map(); // sensor -> time of its last successful read
+    this.lastResults = new Map(); // sensor -> its last successfully read data
+
+    // Implausible values (garbled reads, meter resets) are rejected before they are published
+    const validation = options.validation || {};
+    this.validator = new ValueValidator({
+      power: { ...config.validation.power, ...validation.power },
+      counter: { ...config.validation.counter, ...validation.counter }
+    });
+
+    // The scheduler ticks at the fastest interval; each tick reads only the sensors that are due
+    this.tickInterval = Math.min(...this.pollIntervals.values());
+
+    // Modbus requests are sent one at a time (polling and on-demand reads share the connection)
+    this.requestQueue = Promise.resolve();
+
     // State management flags
     this.isReading = false;
     this.isConnected = false;
+    this.isStopped = false;
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 10; // Increased from 5 (HA pattern: more resilient)
-    this.reconnectDelay = 5000; // Reduced from 10s to 5s for faster recovery
+    this.reconnectPolicy = { ...config.reconnect, ...options.reconnect }; // Exponential backoff, never gives up
+    this.nextReconnectTime = null; // Time (ms) of the next scheduled reconnection attempt
+    this.connectionLostNotified = false; // True after 'connectionLost' until 'connectionRestored'
     this.reconnectTimeouts = []; // Track reconnection timeouts for cleanup
+
+    // Supply state machine (see _updateSupplyState): idle -> warning -> imminent -> disconnected -> restored -> idle
+    this.supplyPolicy = { ...config.supply, ...options.supply };
+    this.supplyState = 'idle';
+    this.supplyCause = null; // 'power' or 'connectionLost', while disconnected
+    this.supplyDisconnectedTime = null;
+    this.supplyRestoredCycle = null; // Read cycle of the restoration
+    this.countdownSeconds = null; // Last emitted countdown, null while no alarm is active
+    this.on('connectionLost', () => this._onSupplyLinkChange(false));
+    this.on('connectionRestored', () => this._onSupplyLinkChange(true));
     this.connectionCheckInterval = null; // Periodic connection health check
     
     // Diagnostic counters for debugging
@@ -74,23 +130,133 @@ class SinapsiConnect extends EventEmitter {
       lastError: null,
       consecutiveFailures: 0,
       socketResets: 0,
-      schedulerRestarts: 0
+      schedulerRestarts: 0,
+      blockReadFallbacks: 0,
+      rejectedValues: 0,
+      lastRejection: null
     };
     
     // Create scheduler after initializing everything
-    this.scheduler = new TaskScheduler(homey, this.readData.bind(this), updateInterval, showLog);
+    this.scheduler = new TaskScheduler(homey, this.readData.bind(this), this.tickInterval, showLog);
+    // NOTE: socket handlers are attached after a successful connect in connectModbus()
+  }
 
-    this.client.on('error', err => {
+  /**
+   * Creates a new Modbus client for this connection, with its error handler
+   * (an 'error' event without a listener would crash the app)
+   * @returns {ModbusRTU} - A fresh, unconnected Modbus client
+   */
+  _createClient() {
+    const client = this._createModbusClient();
+    client.on('error', err => {
+      // Errors of a client already replaced (reconnection) are not about the current connection
+      if (this.isStopped || client !== this.client) return;
       const errorMsg = err.message || String(err);
       this._logError('CLIENT', `Communication error: ${errorMsg}`);
       this.diagnostics.lastError = errorMsg;
       this.isConnected = false;
-      this.client.close(() => {
+      client.close(() => {
         this._logInfo('CLIENT', 'Connection closed after error. Attempting to reconnect...');
         this._scheduleReconnect('client error');
       });
     });
-    // NOTE: socket handlers are attached after a successful connect in connectModbus()
+    return client;
+  }
+
+  /**
+   * Instantiates the Modbus client (replaced by the tests)
+   * @returns {ModbusRTU}
+   */
+  _createModbusClient() {
+    return new ModbusRTU();
+  }
+
+  /**
+   * Returns the connection settings that are not integers within config.connectionLimits.
+   * Missing settings are ignored; readTimeout must not exceed responseTimeout when both are given
+   * (the client would time out first and the read would count as a connection error).
+   * @param {Object} settings - { port, unitId, responseTimeout, readTimeout }
+   * @returns {Array<string>} - The names of the invalid settings (empty if all are valid)
+   */
+  static getInvalidConnectionSettings(settings) {
+    const invalid = Object.keys(config.connectionLimits).filter(key => {
+      const value = settings[key];
+      if (value === undefined || value === null) return false;
+
+      const [min, max] = config.connectionLimits[key];
+      return !Number.isInteger(value) || value < min || value > max;
+    });
+
+    if (!invalid.includes('readTimeout') && Number.isInteger(settings.readTimeout) &&
+        Number.isInteger(settings.responseTimeout) && settings.readTimeout > settings.responseTimeout) {
+      invalid.push('readTimeout');
+    }
+    return invalid;
+  }
+
+  /**
+   * Copies the given connection settings to the instance (missing settings are left unchanged)
+   * @param {Object} settings - { port, unitId, responseTimeout, readTimeout }
+   */
+  _applyConnectionSettings(settings) {
+    for (const key of Object.keys(config.connectionLimits)) {
+      if (settings[key] !== undefined && settings[key] !== null) {
+        this[key] = settings[key];
+      }
+    }
+  }
+
+  /**
+   * Applies unit ID and response timeout to the current client
+   */
+  _configureClient() {
+    // Set Modbus timeout to prevent indefinite hangs
+    this.client.setTimeout(this.responseTimeout);
+    this.client.setID(this.unitId);
+  }
+
+  /**
+   * Changes the connection settings of a running instance, without re-pairing.
+   * Unit ID and timeouts apply to the open connection immediately; a port change
+   * drops the connection and reconnects to the new port right away (any pending backoff is cancelled).
+   * @param {Object} settings - { port, unitId, responseTimeout, readTimeout }
+   * @throws {Error} If a setting is invalid (nothing is changed)
+   *
+   * @example
+   * sinapsi.updateConnectionSettings({ port: 5020, unitId: 2 });
+   */
+  updateConnectionSettings(settings) {
+    const invalidSettings = SinapsiConnect.getInvalidConnectionSettings(settings);
+    if (invalidSettings.length > 0) {
+      throw new Error(`Invalid connection settings: ${invalidSettings.join(', ')}`);
+    }
+
+    const portChanged = settings.port !== undefined && settings.port !== null && settings.port !== this.port;
+    this._applyConnectionSettings(settings);
+    this._logInfo('CONNECTION', `Connection settings updated: port ${this.port}, unit ID ${this.unitId}, ` +
+      `response timeout ${this.responseTimeout}ms, read timeout ${this.readTimeout}ms`);
+
+    if (portChanged) {
+      this.reconnectTimeouts.forEach(id => this.homey.clearTimeout(id));
+      this.reconnectTimeouts = [];
+      this.reconnectAttempts = 0;
+      this.nextReconnectTime = null;
+      this.isConnected = false;
+
+      if (this.client && this.client.isOpen) {
+        try {
+          this.client.close(() => {});
+        } catch (e) { /* ignore */ }
+      }
+
+      // A running scheduler reconnects on its next cycle (ensureConnected), otherwise connect now
+      if (!this.scheduler || !this.scheduler.isScheduled) {
+        this.client = this._createClient();
+        this.connectModbus();
+      }
+    } else if (this.isConnected && this.client) {
+      this._configureClient();
+    }
   }
 
   /**
@@ -98,14 +264,11 @@ class SinapsiConnect extends EventEmitter {
    * @param {string} reason - The reason for reconnection
    */
   _scheduleReconnect(reason) {
-    // Avoid scheduling multiple reconnections
-    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-      this._logError('RECONNECT', `Max reconnection attempts (${this.maxReconnectAttempts}) reached. Giving up.`, this.getDiagnostics());
-      // Emit event for device to show appropriate error message
-      this.emit('maxReconnectAttemptsReached');
+    // A stopped instance must never reconnect (its device was removed or re-created)
+    if (this.isStopped) {
       return;
     }
-    
+
     // Check if reconnection is already scheduled
     if (this.reconnectTimeouts.length > 0) {
       this._logInfo('RECONNECT', 'Reconnection already scheduled, skipping duplicate');
@@ -113,10 +276,12 @@ class SinapsiConnect extends EventEmitter {
     }
     
     this.reconnectAttempts++;
-    this._logInfo('RECONNECT', `Scheduling reconnection attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts} (reason: ${reason})`);
+    const delay = this._getReconnectDelay(this.reconnectAttempts);
+    this.nextReconnectTime = Date.now() + delay;
+    this._logInfo('RECONNECT', `Scheduling reconnection attempt ${this.reconnectAttempts} in ${Math.round(delay / 1000)}s (reason: ${reason})`);
     
     if (this.fileLogger) {
-      this.fileLogger.recordReconnection(this.reconnectAttempts, this.maxReconnectAttempts, reason);
+      this.fileLogger.recordReconnection(this.reconnectAttempts, delay, reason);
     }
     
     const timeoutId = this.homey.setTimeout(() => {
@@ -125,29 +290,55 @@ class SinapsiConnect extends EventEmitter {
       if (index > -1) {
         this.reconnectTimeouts.splice(index, 1);
       }
+      this.nextReconnectTime = null;
       this.connectModbus();
-    }, this.reconnectDelay);
+    }, delay);
     
     this.reconnectTimeouts.push(timeoutId);
   }
 
+  /**
+   * Computes the delay before a reconnection attempt: exponential backoff from baseDelay,
+   * capped at maxDelay, with +/- jitter so that several devices do not retry in lockstep.
+   * Once the cap is reached, attempts continue forever at the capped rate.
+   * @param {number} attempt - The attempt number (1 = first retry)
+   * @returns {number} - The delay in milliseconds
+   */
+  _getReconnectDelay(attempt) {
+    const { baseDelay, maxDelay, jitter } = this.reconnectPolicy;
+    const delay = Math.min(maxDelay, baseDelay * Math.pow(2, attempt - 1));
+    const spread = delay * jitter;
+
+    return Math.round(Math.min(maxDelay, Math.max(0, delay - spread + Math.random() * 2 * spread)));
+  }
+
+  /**
+   * Marks the connection as restored after a 'connectionLost' event
+   */
+  _notifyConnectionRestored() {
+    if (this.connectionLostNotified) {
+      this.connectionLostNotified = false;
+      this.emit('connectionRestored');
+    }
+  }
+
   _log(...args) {
     if (this.showLog) {
       const timestamp = new Date().toISOString();
       const message = args.join(' ');
-      console.log(`%c${timestamp}`, 'color: green', `[SINAPSI-CONNECT] - ${message}`);
+      console.log(`%c${timestamp}`, 'color: green', `[SINAPSI-CONNECT] [${this.host}] - ${message}`);
     }
   }
 
   _logError(component, message, details = null) {
-    console.error(`[SINAPSI-CONNECT] [${component}] ${message}`);
+    console.error(`[SINAPSI-CONNECT] [${this.host}] [${component}] ${message}`);
     if (this.fileLogger) {
       this.fileLogger.error(`SINAPSI-${component}`, message, details);
     }
   }
 
   _logWarn(component, message, details = null) {
-    console.warn(`[SINAPSI-CONNECT] [${component}] ${message}`);
+    console.warn(`[SINAPSI-CONNECT] [${this.host}] [${component}] ${message}`);
     if (this.fileLogger) {
       this.fileLogger.warn(`SINAPSI-${component}`, message, details);
     }
@@ -166,9 +357,13 @@ class SinapsiConnect extends EventEmitter {
   getDiagnostics() {
     return {
       ...this.diagnostics,
+      host: this.host,
+      port: this.port,
+      unitId: this.unitId,
       isConnected: this.isConnected,
       isReading: this.isReading,
       reconnectAttempts: this.reconnectAttempts,
+      nextReconnectTime: this.nextReconnectTime ? new Date(this.nextReconnectTime).toISOString() : null,
       schedulerRunning: this.scheduler?.isScheduled || false,
       pendingTimeouts: this.reconnectTimeouts.length,
       socketHealthy: this._isConnectionHealthy()
@@ -220,10 +415,16 @@ class SinapsiConnect extends EventEmitter {
       // Emit event for device availability management
       // Ignore "client not open" which is normal Modbus TCP behavior (port closes between reads)
       if (reason !== 'client not open') {
+        this.connectionLostNotified = true;
         this.emit('connectionLost', reason);
       }
     }
     
+    // A backoff reconnection is pending: leave it to the scheduled attempt
+    if (!this.isConnected && this.reconnectTimeouts.length > 0) {
+      return false;
+    }
+    
     // Try to reconnect if not connected
     if (!this.isConnected) {
       this._logInfo('CONNECTION', 'ensureConnected: attempting to establish connection...');
@@ -237,14 +438,14 @@ class SinapsiConnect extends EventEmitter {
         }
         
         // Create fresh client
-        this.client = new (require("modbus-serial"))();
+        this.client = this._createClient();
         
-        await this.client.connectTCP(config.host, { port: config.port });
+        await this.client.connectTCP(this.host, { port: this.port });
         
-        this.client.setTimeout(5000);
-        this.client.setID(1);
+        this._configureClient();
         this.isConnected = true;
         this.reconnectAttempts = 0;
+        this.nextReconnectTime = null;
         this.diagnostics.consecutiveFailures = 0;
         
         // Setup socket handlers
@@ -256,11 +457,15 @@ class SinapsiConnect extends EventEmitter {
           this.fileLogger.logConnectionStateChange('disconnected', 'connected', 'ensureConnected success');
         }
         
+        this._notifyConnectionRestored();
         return true;
       } catch (err) {
         this._logError('CONNECTION', `ensureConnected failed: ${err.message}`);
         this.isConnected = false;
         this.diagnostics.lastError = err.message;
+        
+        // Retry with backoff instead of hammering the device on every scheduler tick
+        this._scheduleReconnect('ensureConnected failed');
         return false;
       }
     }
@@ -319,7 +524,7 @@ class SinapsiConnect extends EventEmitter {
    * Checks if the Modbus device can be connected to without errors.
    * @returns {Promise<boolean>} - Returns true if the connectModbus promise resolves, false if it rejects.
    * @example
-   * const sinapsiConnect = new SinapsiConnect();
+   * const sinapsiConnect = new SinapsiConnect(homey, '192.168.1.100');
    * sinapsiConnect.isModbusConnected().then(isConnected => {
    *   if (isConnected) {
    *     console.log('Modbus device is connected.');
@@ -329,7 +534,7 @@ class SinapsiConnect extends EventEmitter {
    * });
    */
   isModbusConnected() {
-    return this.client.connectTCP(config.host, { port: config.port })
+    return this.client.connectTCP(this.host, { port: this.port })
       .then(() => {
         //this.client.setID(1);
         return true;
@@ -344,21 +549,28 @@ class SinapsiConnect extends EventEmitter {
    * Connects to the Modbus device using TCP.
    */
   connectModbus() {
-    if (!config.host) {
+    if (this.isStopped) {
+      return;
+    }
+
+    if (!this.host) {
       this._logError('CONNECT', 'Modbus server IP address is not set');
       throw new Error("Modbus server IP address is not set");
     }
 
-    this._logInfo('CONNECT', `Attempting connection to ${config.host}:${config.port}`);
+    this._logInfo('CONNECT', `Attempting connection to ${this.host}:${this.port}`);
 
-    this.client.connectTCP(config.host, { port: config.port })
+    this.client.connectTCP(this.host, { port: this.port })
       .then(() => {
+        // Instance stopped while connecting: drop the connection silently
+        if (this.isStopped) {
+          return false;
+        }
+
         const oldState = this.isConnected;
-        this._logInfo('CONNECT', `Connected to device ${config.name}`);
+        this._logInfo('CONNECT', `Connected to device ${config.name} (${this.host})`);
         
-        // Set Modbus timeout to prevent indefinite hangs
-        this.client.setTimeout(5000);
-        this.client.setID(1);
+        this._configureClient();
         this.isConnected = true;
         
         // Log state change if was disconnected
@@ -368,6 +580,7 @@ class SinapsiConnect extends EventEmitter {
         
         // Emit event for device availability management (only if was previously disconnected)
         if (!oldState) {
+          this.connectionLostNotified = false;
           this.emit('connectionRestored');
         }
         
@@ -376,6 +589,7 @@ class SinapsiConnect extends EventEmitter {
           this._logInfo('CONNECT', `Reconnected after ${this.reconnectAttempts} attempts`);
         }
         this.reconnectAttempts = 0;
+        this.nextReconnectTime = null;
         this.diagnostics.consecutiveFailures = 0;
 
         // Setup socket handlers with TCP keep-alive
@@ -395,6 +609,12 @@ class SinapsiConnect extends EventEmitter {
         this.diagnostics.lastError = err.message;
         this.isConnected = false;
         
+        // Let the device show it is unavailable while retrying (only once per outage)
+        if (!this.connectionLostNotified) {
+          this.connectionLostNotified = true;
+          this.emit('connectionLost', err.message);
+        }
+        
         this._scheduleReconnect('connection failed');
         
         return false;
@@ -437,15 +657,24 @@ class SinapsiConnect extends EventEmitter {
     }
 
     const startTime = Date.now();
+    const dueSensors = this._getDueSensors(startTime);
     const sensorDataArray = [];
     let readErrors = 0;
+    let rejectedValues = 0;
     let powerValue = null;
 
     try {
-      // HA Pattern: Read each sensor, continue on individual errors
-      for (const sensor of this.sensors) {
-        const result = await this._readSingleSensor(sensor);
-        
+      // Read each register block of the due sensors; a failed block falls back to single-sensor reads
+      const results = new Map();
+      for (const block of SinapsiConnect.buildReadBlocks(dueSensors)) {
+        const blockResults = await this._readBlock(block);
+        block.sensors.forEach((sensor, index) => results.set(sensor, blockResults[index]));
+      }
+
+      // HA Pattern: Process each sensor, continue on individual errors
+      for (const sensor of dueSensors) {
+        const result = results.get(sensor);
+
         if (result === null) {
           readErrors++;
           // HA Pattern: Skip failed sensor, try next one
@@ -453,6 +682,19 @@ class SinapsiConnect extends EventEmitter {
           // ensureConnected() at the start of next cycle will handle reconnection if needed
           continue;
         }
+
+        // Plausibility check: a rejected value is neither published nor cached,
+        // and the sensor stays due so that it is read again on the next tick
+        const verdict = this.validator.check(sensor, result.value, result.timestamp);
+        if (!verdict.accepted) {
+          rejectedValues++;
+          this._recordRejectedValue(sensor, result.value, verdict.reason);
+          continue;
+        }
+        if (verdict.reason) {
+          this._logInfo('VALIDATOR', `${sensor.id} = ${result.value} accepted: ${verdict.reason}`);
+        }
+        result.value = verdict.value;
         
         // Track power value for diagnostics
         if (sensor.id === "measure_power") {
@@ -465,6 +707,7 @@ class SinapsiConnect extends EventEmitter {
           // Normalize all to -1 for consistency
           const rawValue = result.value;
           this.eventDate = (rawValue === -1 || rawValue === 65535 || rawValue === SinapsiConnect.DISCONNECT_ALARM_INACTIVE) ? -1 : rawValue;
+          result.value = this.eventDate;
           
           // Debug log for alarm state tracking
           if (this.fileLogger) {
@@ -481,12 +724,14 @@ class SinapsiConnect extends EventEmitter {
 
         this._log(`${sensor.id} - ${sensor.name}: ${result.value} ${sensor.unit || ''}`);
         sensorDataArray.push(result);
+        this.lastPollTimes.set(sensor, startTime);
+        this.lastResults.set(sensor, result);
       }
       
       const duration = Date.now() - startTime;
       
-      // Determine if this was a successful cycle
-      const wasSuccessful = sensorDataArray.length > 0;
+      // Determine if this was a successful cycle (rejected values were read correctly)
+      const wasSuccessful = sensorDataArray.length > 0 || rejectedValues > 0;
       
       if (wasSuccessful) {
         // Update diagnostics for successful read
@@ -509,11 +754,11 @@ class SinapsiConnect extends EventEmitter {
         
         // Log warning if there were partial errors
         if (readErrors > 0) {
-          this._logWarn('READ', `Read cycle completed with ${readErrors}/${this.sensors.length} sensor errors`);
+          this._logWarn('READ', `Read cycle completed with ${readErrors}/${dueSensors.length} sensor errors`);
         }
 
-        // Emit taskCompleted event
-        this.emit('taskCompleted', sensorDataArray);
+        // Emit taskCompleted event with the latest value of every sensor (fresh or from a previous tick)
+        this.emit('taskCompleted', this.getLastSensorData());
 
         // Handle disconnection warning with local countdown tracking
         if (this.eventDate !== undefined && this.remainingDisconnectionTime !== undefined) {
@@ -576,41 +821,58 @@ class SinapsiConnect extends EventEmitter {
                 `Elapsed: ${finalElapsed}s`);
             }
             
-            // Scenario 2: Emit calculated countdown
-            this.emit('disconnectionWarning', secondsRemaining);
+            // Scenario 2: Emit calculated countdown, until the cut: the meter may keep its alarm on afterwards
+            this.countdownSeconds = secondsRemaining;
+            const disconnectionTime = this.getDisconnectionTime();
+            if (this.supplyState !== 'disconnected') {
+              this.emit('disconnectionWarning', secondsRemaining, disconnectionTime);
+            }
             
             if (!this.warningTriggered) {
               this.warningTriggered = true;
               if (this.fileLogger) {
                 this.fileLogger.warn('ALARM-STATE', `First disconnection warning triggered: ${secondsRemaining}s remaining`);
               }
-              this.emit('firstDisconnectionWarning', secondsRemaining);
+              this.emit('firstDisconnectionWarning', secondsRemaining, disconnectionTime);
             }
           } else {
             // No alarm active - reset countdown
             if (this.warningTriggered) {
+              // The meter clears the alarm when it cuts the supply: the supply state machine decides first
+              // whether this is a stop (no stopWarning for a cut, the loads must not be switched on again)
+              const wasDisconnected = this.supplyState === 'disconnected'; // Power may be back in the same cycle
+              this._updateSupplyState(sensorDataArray, false);
               this.warningTriggered = false;
               this.countdownStartTime = null;
               this.countdownStartValue = null;
-              if (this.fileLogger) {
-                this.fileLogger.info('ALARM-STATE', 'Disconnection warning stopped - alarm cleared');
+              this.countdownSeconds = null;
+              if (wasDisconnected || this.supplyState === 'disconnected') {
+                this._logInfo('ALARM-STATE', 'Disconnection warning ended by the supply disconnection');
+                this.emit('warningEndedByDisconnection');
+              } else {
+                if (this.fileLogger) {
+                  this.fileLogger.info('ALARM-STATE', 'Disconnection warning stopped - alarm cleared');
+                }
+                this.emit('stopWarning');
               }
-              this.emit('stopWarning');
             }
           }
         }
+
+        this._updateSupplyState(sensorDataArray);
       } else {
         // All sensors failed
         this.diagnostics.failedReadCycles++;
         this.diagnostics.consecutiveFailures++;
-        this._logError('READ', `Read cycle failed - all ${this.sensors.length} sensors returned errors`, this.getDiagnostics());
+        this._logError('READ', `Read cycle failed - all ${dueSensors.length} sensors returned errors`, this.getDiagnostics());
         
         if (this.fileLogger) {
-          this.fileLogger.recordFailedRead(`All ${this.sensors.length} sensors failed`);
+          this.fileLogger.recordFailedRead(`All ${dueSensors.length} sensors failed`);
         }
+        return sensorDataArray;
       }
       
-      return sensorDataArray;
+      return this.getLastSensorData();
       
     } catch (err) {
       // Unexpected error
@@ -635,58 +897,240 @@ class SinapsiConnect extends EventEmitter {
   }
 
   /**
-   * Reads a single sensor with timeout handling (HA pattern: isolated reads)
+   * Counts and logs a value rejected by the validator
    * @param {Object} sensor - The sensor configuration
-   * @returns {Promise<Object|null>} - Sensor data or null on error
+   * @param {number} value - The rejected value
+   * @param {string} reason - Why the value was rejected
    */
-  async _readSingleSensor(sensor) {
+  _recordRejectedValue(sensor, value, reason) {
+    this.diagnostics.rejectedValues++;
+    this.diagnostics.lastRejection = { sensor: sensor.id, value, reason, time: new Date().toISOString() };
+
+    // FileLogger logs to the console as well
+    if (this.fileLogger) {
+      this.fileLogger.recordRejectedValue(sensor.id, value, reason);
+    } else {
+      this._logWarn('VALIDATOR', `Rejected ${sensor.id} = ${value}: ${reason}`);
+    }
+  }
+
+  /**
+   * Resolves the polling interval of a sensor from its pollInterval or poll tier
+   * @param {Object} sensor - The sensor configuration
+   * @param {Object} pollTiers - Tier name to interval (ms) map
+   * @returns {number} - The polling interval in milliseconds
+   * @throws {Error} If the tier is unknown or the interval is not a positive number
+   */
+  static resolvePollInterval(sensor, pollTiers) {
+    const interval = sensor.pollInterval !== undefined ? sensor.pollInterval : pollTiers[sensor.poll || 'normal'];
+
+    if (typeof interval !== 'number' || interval <= 0) {
+      throw new Error(`Sensor ${sensor.id}: invalid poll tier or interval (${sensor.poll || sensor.pollInterval})`);
+    }
+    return interval;
+  }
+
+  /**
+   * Returns the sensors whose polling interval has elapsed since their last successful read
+   * @param {number} now - Current time in milliseconds
+   * @returns {Array<Object>} - The sensors to read in this cycle
+   */
+  _getDueSensors(now) {
+    // Half a tick of tolerance absorbs scheduler drift (the next tick is scheduled after the read completes)
+    const tolerance = this.tickInterval / 2;
+
+    return this.sensors.filter(sensor => {
+      const lastPollTime = this.lastPollTimes.get(sensor);
+      return lastPollTime === undefined || now - lastPollTime >= this.pollIntervals.get(sensor) - tolerance;
+    });
+  }
+
+  /**
+   * Returns the last successfully read data of every sensor, in register map order,
+   * followed by the metrics derived from it (see DerivedMetrics)
+   * @returns {Array<Object>} - The sensor data array
+   */
+  getLastSensorData() {
+    const sensorDataArray = this.sensors
+      .filter(sensor => this.lastResults.has(sensor))
+      .map(sensor => this.lastResults.get(sensor));
+
+    return [...sensorDataArray, ...DerivedMetrics.compute(sensorDataArray)];
+  }
+
+  /**
+   * Groups sensors into blocks of contiguous or near-contiguous registers,
+   * so that each block can be fetched with a single readHoldingRegisters request.
+   * @param {Array<Object>} sensors - The sensor configurations
+   * @param {number} [maxGap] - Maximum number of unused registers between two sensors of the same block
+   * @param {number} [maxCount] - Maximum number of registers in a single block
+   * @returns {Array<{address: number, count: number, sensors: Array<Object>}>} - Blocks sorted by address
+   *
+   * @example
+   * SinapsiConnect.buildReadBlocks(config.sensors);
+   * // => [{ address: 2, count: 18, sensors: [...] }, { address: 30, count: 12, sensors: [...] }, ...]
+   */
+  static buildReadBlocks(sensors, maxGap = config.blockRead.maxGap, maxCount = config.blockRead.maxCount) {
+    const sorted = [...sensors].sort((a, b) => a.address - b.address);
+    const blocks = [];
+    let current = null;
+
+    for (const sensor of sorted) {
+      if (current) {
+        const gap = sensor.address - (current.address + current.count);
+        const count = Math.max(current.count, sensor.address + sensor.count - current.address);
+
+        if (gap <= maxGap && count <= maxCount) {
+          current.count = count;
+          current.sensors.push(sensor);
+          continue;
+        }
+      }
+
+      current = { address: sensor.address, count: sensor.count, sensors: [sensor] };
+      blocks.push(current);
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Queues a Modbus request after the pending ones
+   * @param {Function} request - Async function sending the request
+   * @returns {Promise<*>} - The result of the request
+   */
+  _enqueueRequest(request) {
+    const result = this.requestQueue.then(request, request);
+    this.requestQueue = result.catch(() => {}); // A failed request must not block the next ones
+    return result;
+  }
+
+  /**
+   * Reads an arbitrary range of holding registers on demand (register inspector).
+   * The request is queued with the polling requests on the same connection, it never runs in parallel with them.
+   * @param {number} address - The first register address (0-65535)
+   * @param {number} count - The number of registers to read (1-125, Modbus limit)
+   * @returns {Promise<Array<number>>} - The raw register words
+   * @throws {Error} If the range is invalid, the device is not connected or the read fails
+   *
+   * @example
+   * const words = await sinapsi.readRawRegisters(780, 3);
+   */
+  async readRawRegisters(address, count) {
+    if (!Number.isInteger(address) || address < 0 || address > 65535) {
+      throw new Error(`Invalid register address: ${address}`);
+    }
+    if (!Number.isInteger(count) || count < 1 || count > 125 || address + count > 65536) {
+      throw new Error(`Invalid register count: ${count}`);
+    }
+    if (!this.isConnected || !this.client) {
+      throw new Error('Device not connected');
+    }
+
+    this._logInfo('INSPECT', `Raw read of ${count} register(s) from ${address}`);
+    return this._readRegisters(address, count);
+  }
+
+  /**
+   * Reads a range of holding registers with timeout handling.
+   * Requests are queued: the timeout starts when the request is actually sent.
+   * @param {number} address - The first register address
+   * @param {number} count - The number of registers to read
+   * @returns {Promise<Array<number>>} - The raw register words
+   * @throws {Error} 'Modbus read timeout' if the device does not answer in time
+   */
+  _readRegisters(address, count) {
+    return this._enqueueRequest(() => this._sendReadRequest(address, count));
+  }
+
+  /**
+   * Sends a holding register read request, racing it against the read timeout
+   */
+  async _sendReadRequest(address, count) {
     let timeoutId = null;
-    
+
     try {
       // Create timeout promise
       const timeoutPromise = new Promise((_, reject) => {
         timeoutId = this.homey.setTimeout(() => {
           reject(new Error('Modbus read timeout'));
-        }, 3000);
+        }, this.readTimeout);
       });
-      
+
       // Race between read and timeout
       const data = await Promise.race([
-        this.client.readHoldingRegisters(sensor.address, sensor.count),
+        this.client.readHoldingRegisters(address, count),
         timeoutPromise
       ]);
-      
-      // Cancel timeout on success
+
+      return data.data;
+    } finally {
+      // Always cancel timeout
       if (timeoutId !== null) {
         this.homey.clearTimeout(timeoutId);
-        timeoutId = null;
-      }
-      
-      // Parse value
-      let value;
-      if (sensor.type === "uint32") {
-        value = (data.data[0] << 16) | data.data[1];
-      } else {
-        value = data.data[0];
       }
-      
-      return {
-        id: sensor.id,
-        capability: sensor.capability,
-        name: sensor.name,
-        value: value,
-        unit: sensor.unit || '',
-        type: sensor.type,
-        conversionFactor: sensor.conversionFactor
-      };
-      
+    }
+  }
+
+  /**
+   * Decodes the raw register words of a sensor into a sensor data object
+   * @param {Object} sensor - The sensor configuration
+   * @param {Array<number>} words - The raw register words of the sensor
+   * @returns {Object} - Sensor data
+   */
+  _decodeSensor(sensor, words) {
+    return {
+      id: sensor.id,
+      capability: sensor.capability,
+      name: sensor.name,
+      value: RegisterDecoder.decode(words, sensor),
+      unit: sensor.unit || '',
+      type: sensor.type,
+      timestamp: Date.now() // Time of the read: payloads mix fresh and previously read values
+    };
+  }
+
+  /**
+   * Reads a register block with a single request and decodes every sensor in it.
+   * If the block read fails, only this block falls back to single-sensor reads.
+   * @param {Object} block - A block built by buildReadBlocks()
+   * @returns {Promise<Array<Object|null>>} - Sensor data (null on error), in the same order as block.sensors
+   */
+  async _readBlock(block) {
+    if (block.sensors.length === 1) {
+      return [await this._readSingleSensor(block.sensors[0])];
+    }
+
+    try {
+      const words = await this._readRegisters(block.address, block.count);
+
+      return block.sensors.map(sensor => {
+        const offset = sensor.address - block.address;
+        return this._decodeSensor(sensor, words.slice(offset, offset + sensor.count));
+      });
     } catch (err) {
-      // Cancel timeout if still active
-      if (timeoutId !== null) {
-        this.homey.clearTimeout(timeoutId);
-        timeoutId = null;
+      this.diagnostics.blockReadFallbacks++;
+      this._logWarn('READ', `Block read failed (address: ${block.address}, count: ${block.count}): ${err.message} - falling back to single reads`);
+
+      const results = [];
+      for (const sensor of block.sensors) {
+        results.push(await this._readSingleSensor(sensor));
       }
-      
+      return results;
+    }
+  }
+
+  /**
+   * Reads a single sensor with timeout handling (HA pattern: isolated reads)
+   * @param {Object} sensor - The sensor configuration
+   * @returns {Promise<Object|null>} - Sensor data or null on error
+   */
+  async _readSingleSensor(sensor) {
+    try {
+      const words = await this._readRegisters(sensor.address, sensor.count);
+      return this._decodeSensor(sensor, words);
+
+    } catch (err) {
       if (err.message === 'Modbus read timeout') {
         this._logWarn('READ', `Timeout reading ${sensor.name} (address: ${sensor.address})`);
       } else {
@@ -711,22 +1155,145 @@ class SinapsiConnect extends EventEmitter {
    * Calculates the disconnection warning based on event date and remaining disconnection time.
    * @param {number} eventDate - The event date in seconds since epoch.
    * @param {number} remainingDisconnectionTime - The remaining disconnection time in seconds.
-   * @returns {string} The disconnection warning message.
+   * @returns {string} The disconnection warning message (ISO time of the disconnection).
    */
   calculateDisconnectionWarning(eventDate, remainingDisconnectionTime) {
     if (eventDate === -1) {
       return "No warning";
     } else {
-      const disconnectionDate = new Date((eventDate + remainingDisconnectionTime) * 1000);
-      return disconnectionDate.toLocaleString();
+      return new Date((eventDate + remainingDisconnectionTime) * 1000).toISOString();
+    }
+  }
+
+  /**
+   * State of the supply, inferred from the disconnection alarm, the power and the Modbus link
+   * @returns {{state: string, cause: string|null, disconnectedTime: number|null}}
+   *          state: 'idle', 'warning', 'imminent', 'disconnected' or 'restored'
+   */
+  getSupplyState() {
+    return { state: this.supplyState, cause: this.supplyCause, disconnectedTime: this.supplyDisconnectedTime };
+  }
+
+  /**
+   * Advances the supply state machine after a read cycle:
+   * - idle / restored -> warning: a disconnection alarm is active;
+   * - warning -> imminent: the countdown is within imminentSeconds of zero (-> idle if the alarm stops before);
+   * - imminent -> disconnected: imported and exported power read as 0 with the countdown within graceSeconds
+   *   of zero (-> idle if the alarm stops otherwise);
+   * - disconnected -> restored: power is back (a cut detected from a lost link is restored by the link);
+   * - restored -> idle: the next cycle without an alarm.
+   * @param {Array<Object>} sensorDataArray - The data read in this cycle
+   * @param {boolean} [alarmActive] - Whether the disconnection alarm is active (default: warningTriggered)
+   */
+  _updateSupplyState(sensorDataArray, alarmActive = this.warningTriggered) {
+    const valueOf = id => {
+      const sensor = sensorDataArray.find(item => item.id === id);
+      return sensor ? sensor.value : undefined;
+    };
+    const power = valueOf('measure_power');
+    const exported = valueOf('measure_power.exported');
+    const noPower = power === 0 && !(exported > 0);
+    const hasPower = power > 0 || exported > 0;
+    const remaining = this._getCountdownRemaining();
+    const countdownOver = remaining !== null && remaining <= this.supplyPolicy.graceSeconds;
+
+    // Several transitions may happen in one cycle (an alarm that starts close to zero)
+    for (;;) {
+      let next = null;
+
+      switch (this.supplyState) {
+        case 'idle':
+          if (alarmActive) next = 'warning';
+          break;
+        case 'restored':
+          // Reported until the end of the cycle of the restoration
+          if (alarmActive) next = 'warning';
+          else if (this.diagnostics.totalReadCycles > this.supplyRestoredCycle) next = 'idle';
+          break;
+        case 'warning':
+          if (!alarmActive) next = 'idle';
+          else if (this.countdownSeconds !== null && this.countdownSeconds <= this.supplyPolicy.imminentSeconds) next = 'imminent';
+          break;
+        case 'imminent':
+          if (noPower && countdownOver) next = 'disconnected';
+          else if (!alarmActive) next = 'idle';
+          break;
+        case 'disconnected':
+          if (this.supplyCause === 'power' && hasPower) next = 'restored';
+          break;
+      }
+
+      if (next === null) return;
+      this._setSupplyState(next, 'power');
+    }
+  }
+
+  /**
+   * Remaining seconds of the local countdown at this time, negative once it ran out
+   * @returns {number|null} - null while no disconnection alarm is active
+   */
+  _getCountdownRemaining() {
+    if (this.countdownStartTime === null) return null;
+    return this.countdownStartValue - (Date.now() / 1000 - this.countdownStartTime);
+  }
+
+  /**
+   * A lost link while the disconnection is imminent is taken as a cut (the Alfa is powered by the supply);
+   * the link coming back restores it.
+   * @param {boolean} connected - Whether the link was restored (true) or lost (false)
+   */
+  _onSupplyLinkChange(connected) {
+    if (!connected && this.supplyState === 'imminent') {
+      this._setSupplyState('disconnected', 'connectionLost');
+    } else if (connected && this.supplyState === 'disconnected' && this.supplyCause === 'connectionLost') {
+      this._setSupplyState('restored');
     }
   }
 
+  /**
+   * Changes the supply state. Emits 'supplyStateChanged' (state, previous), plus 'supplyDisconnected' (cause)
+   * and 'supplyRestored' (seconds without supply).
+   * @param {string} state - The new state
+   * @param {string} [cause] - What revealed the cut, when disconnected ('power' or 'connectionLost')
+   */
+  _setSupplyState(state, cause = null) {
+    const previous = this.supplyState;
+    const now = Date.now();
+    this.supplyState = state;
+    this._logInfo('SUPPLY', `Supply state: ${previous} -> ${state}${state === 'disconnected' ? ` (${cause})` : ''}`);
+    this.emit('supplyStateChanged', state, previous);
+
+    if (state === 'disconnected') {
+      this.supplyCause = cause;
+      this.supplyDisconnectedTime = now;
+      this.emit('supplyDisconnected', cause);
+    } else if (state === 'restored') {
+      const duration = Math.round((now - this.supplyDisconnectedTime) / 1000);
+      this.supplyCause = null;
+      this.supplyDisconnectedTime = null;
+      this.supplyRestoredCycle = this.diagnostics.totalReadCycles;
+      this.emit('supplyRestored', duration);
+    }
+  }
+
+  /**
+   * Predicted time of the disconnection, from the Alfa event date and remaining time registers.
+   * @returns {number|null} Time in milliseconds, or null while no disconnection alarm is active.
+   */
+  getDisconnectionTime() {
+    const eventDate = this.eventDate;
+    if (eventDate === undefined || eventDate === -1 || eventDate === 65535 ||
+        eventDate === SinapsiConnect.DISCONNECT_ALARM_INACTIVE || this.remainingDisconnectionTime === undefined) {
+      return null;
+    }
+    return (eventDate + this.remainingDisconnectionTime) * 1000;
+  }
+
   /**
    * Starts the Modbus connection and the task scheduler for periodic data reading.
    * @example
    * const SinapsiConnect = require('./SinapsiConnect');
-   * const sinapsi = new SinapsiConnect(10000); // Update interval of 10 seconds
+   * const sinapsi = new SinapsiConnect(homey, '192.168.1.100', 10000); // Update interval of 10 seconds
    * sinapsi.start();
    */
   start() {
@@ -744,6 +1311,7 @@ class SinapsiConnect extends EventEmitter {
    */
   async stop() {
     this._logInfo('LIFECYCLE', 'Stopping SinapsiConnect...', this.getDiagnostics());
+    this.isStopped = true;
     
     // Cancel connection health check interval
     if (this.connectionCheckInterval) {
@@ -798,26 +1366,6 @@ class SinapsiConnect extends EventEmitter {
     this.isConnected = false;
     this.isReading = false;
   }
-
-  /**
-   * Static method to manage a single instance of SinapsiConnect.
-   * Stops the existing timer and starts a new one with the given IP.
-   * @param {Object} homey - The Homey instance.
-   * @param {string} ip - The IP address of the Modbus server.
-   * @param {number} [updateInterval=30000] - The interval in milliseconds for updating data.
-   * @param {boolean} [showLog=false] - Whether to show log messages.
-   * @param {boolean} [showEnergyMonitoring=true] - Whether to include energy monitoring sensors.
-   * @param {Object} [fileLogger=null] - FileLogger instance for persistent logging.
-   * @returns {SinapsiConnect} The SinapsiConnect instance.
-   */
-  static manageInstance(homey, ip, updateInterval = 30000, showLog = false, showEnergyMonitoring = true, fileLogger = null) {
-    if (SinapsiConnect.instance) {
-      SinapsiConnect.instance.stop();
-    }
-    SinapsiConnect.instance = new SinapsiConnect(homey, ip, updateInterval, showLog, showEnergyMonitoring, fileLogger);
-    SinapsiConnect.instance.start();
-    return SinapsiConnect.instance;
-  }
 }
 
 module.exports = SinapsiConnect;
\ No newline at end of file
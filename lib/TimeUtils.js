@@ -0,0 +1,142 @@
+'use strict';
+
+/**
+ * Calendar helpers in the Homey timezone (this.homey.clock.getTimezone()).
+ * Day and month keys are plain strings, so they can be compared and kept in the device store.
+ *
+ * @example
+ * getDayKey(Date.UTC(2025, 0, 15, 23, 30), 'Europe/Rome'); // => '2025-01-16'
+ * getMonthKey(Date.UTC(2025, 0, 15, 23, 30), 'Europe/Rome'); // => '2025-01'
+ * formatTime(Date.UTC(2025, 0, 15, 23, 30), 'Europe/Rome'); // => '00:30'
+ * formatIsoDateTime(Date.UTC(2025, 0, 15, 23, 30), 'Europe/Rome'); // => '2025-01-16T00:30:00+01:00'
+ * formatDateTime(Date.UTC(2025, 0, 15, 23, 30), 'Europe/Rome', 'it'); // => '16/01/25, 00:30:00'
+ */
+
+const QUARTER_HOUR = 15 * 60 * 1000;
+
+const formatters = new Map(); // timeZone -> Intl.DateTimeFormat
+const localizedFormatters = new Map(); // `${language}|${timeZone}` -> Intl.DateTimeFormat
+
+/**
+ * Returns the local date and time fields of a time
+ * @param {number} time - Time in milliseconds
+ * @param {string} [timeZone] - IANA timezone (default: the one of the process)
+ * @returns {{year: string, month: string, day: string, hour: string, minute: string, second: string}}
+ */
+function getLocalParts(time, timeZone) {
+  const key = timeZone || '';
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+
+  const parts = {};
+  for (const { type, value } of formatters.get(key).formatToParts(time)) {
+    parts[type] = value;
+  }
+  return parts;
+}
+
+/**
+ * Local day of a time
+ * @param {number} time - Time in milliseconds
+ * @param {string} [timeZone] - IANA timezone
+ * @returns {string} - YYYY-MM-DD
+ */
+function getDayKey(time, timeZone) {
+  const { year, month, day } = getLocalParts(time, timeZone);
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Local hour of a time
+ * @param {number} time - Time in milliseconds
+ * @param {string} [timeZone] - IANA timezone
+ * @returns {string} - YYYY-MM-DDTHH
+ */
+function getHourKey(time, timeZone) {
+  const { year, month, day, hour } = getLocalParts(time, timeZone);
+  return `${year}-${month}-${day}T${hour}`;
+}
+
+/**
+ * Local month of a time
+ * @param {number} time - Time in milliseconds
+ * @param {string} [timeZone] - IANA timezone
+ * @returns {string} - YYYY-MM
+ */
+function getMonthKey(time, timeZone) {
+  const { year, month } = getLocalParts(time, timeZone);
+  return `${year}-${month}`;
+}
+
+/**
+ * Local time of the day
+ * @param {number} time - Time in milliseconds
+ * @param {string} [timeZone] - IANA timezone
+ * @returns {string} - HH:MM
+ */
+function formatTime(time, timeZone) {
+  const { hour, minute } = getLocalParts(time, timeZone);
+  return `${hour}:${minute}`;
+}
+
+/**
+ * ISO 8601 date and time with the offset of the timezone
+ * @param {number} time - Time in milliseconds
+ * @param {string} [timeZone] - IANA timezone
+ * @returns {string} - YYYY-MM-DDTHH:MM:SS+HH:MM
+ */
+function formatIsoDateTime(time, timeZone) {
+  const { year, month, day, hour, minute, second } = getLocalParts(time, timeZone);
+  const local = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+  const offset = Math.round((local - Math.floor(time / 1000) * 1000) / 60000);
+  const sign = offset < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}${sign}${hours}:${minutes}`;
+}
+
+/**
+ * Short date and time in the format of a language
+ * @param {number} time - Time in milliseconds
+ * @param {string} [timeZone] - IANA timezone
+ * @param {string} [language] - Language of the format (this.homey.i18n.getLanguage())
+ * @returns {string} - e.g. '16/01/25, 00:30:00' (it), '1/16/25, 12:30:00 AM' (en)
+ */
+function formatDateTime(time, timeZone, language) {
+  const key = `${language || ''}|${timeZone || ''}`;
+  if (!localizedFormatters.has(key)) {
+    localizedFormatters.set(key, new Intl.DateTimeFormat(language, { timeZone, dateStyle: 'short', timeStyle: 'medium' }));
+  }
+  return localizedFormatters.get(key).format(time);
+}
+
+/**
+ * Start of the quarter-hour containing a time (timezone offsets are multiples of 15 minutes)
+ * @param {number} time - Time in milliseconds
+ * @returns {number} - Time in milliseconds
+ */
+function getQuarterHourStart(time) {
+  return Math.floor(time / QUARTER_HOUR) * QUARTER_HOUR;
+}
+
+module.exports = {
+  QUARTER_HOUR,
+  getDayKey,
+  getHourKey,
+  getMonthKey,
+  formatTime,
+  formatIsoDateTime,
+  formatDateTime,
+  getQuarterHourStart
+};
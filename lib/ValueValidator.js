@@ -0,0 +1,124 @@
+'use strict';
+
+const config = require('./config/config');
+
+/**
+ * Plausibility checks of decoded values, applied before they are published or cached.
+ *
+ * Sensors opt in with the `check` field of config.sensors:
+ * - 'power': the value must be within validation.power.min / max (W); out of range values are rejected
+ * - 'counter': cumulative energy counter (Wh). Small decreases (up to validation.counter.tolerance) are
+ *   read jitter: the last accepted value is kept. A decrease beyond the tolerance, or an increase larger than
+ *   maxPower can produce in the elapsed time (+ margin), is suspicious: it is rejected, and accepted only if
+ *   the next read confirms it (meter reset or replacement). A single garbled read, such as a half-updated
+ *   uint32, is followed by a plausible read and never reaches the capabilities.
+ *
+ * @example
+ * const validator = new ValueValidator();
+ * validator.check(sensor, 1250000, Date.now()); // => { accepted: true, value: 1250000 }
+ * validator.check(sensor, 1315536, Date.now() + 60000); // => { accepted: false, reason: 'jump of +65536 Wh in 60s' }
+ */
+class ValueValidator {
+  /**
+   * @param {Object} [rules=config.validation] - { power: { min, max }, counter: { tolerance, maxPower, margin } }
+   */
+  constructor(rules = config.validation) {
+    this.rules = rules;
+    this.counters = new Map(); // sensor id -> { last: { value, time }, pending: { value, time } | null }
+  }
+
+  /**
+   * Checks a decoded value
+   * @param {Object} sensor - The sensor configuration
+   * @param {number} value - The decoded value
+   * @param {number} time - Time of the read in milliseconds
+   * @returns {{accepted: boolean, value: number, reason: string|null}} - The value to publish if accepted
+   *          (it may differ from the read one), the reason of the rejection otherwise
+   */
+  check(sensor, value, time) {
+    if (!Number.isFinite(value)) {
+      return { accepted: false, value, reason: 'not a finite number' };
+    }
+
+    switch (sensor.check) {
+      case 'power':
+        return this._checkPower(value);
+      case 'counter':
+        return this._checkCounter(sensor.id, value, time);
+      default:
+        return { accepted: true, value, reason: null };
+    }
+  }
+
+  /**
+   * Forgets the history of a counter (or of all counters)
+   * @param {string} [sensorId] - The sensor id
+   */
+  reset(sensorId) {
+    if (sensorId === undefined) {
+      this.counters.clear();
+    } else {
+      this.counters.delete(sensorId);
+    }
+  }
+
+  _checkPower(value) {
+    const { min, max } = this.rules.power;
+    if (value < min || value > max) {
+      return { accepted: false, value, reason: `outside the plausible range ${min}..${max} W` };
+    }
+    return { accepted: true, value, reason: null };
+  }
+
+  _checkCounter(id, value, time) {
+    const state = this.counters.get(id);
+
+    // First read: nothing to compare with
+    if (!state) {
+      this.counters.set(id, { last: { value, time }, pending: null });
+      return { accepted: true, value, reason: null };
+    }
+
+    const suspicion = this._getCounterSuspicion(state.last, value, time);
+    if (!suspicion) {
+      state.pending = null;
+      if (value < state.last.value) {
+        // Within the tolerance: never publish a decrease
+        return { accepted: true, value: state.last.value, reason: null };
+      }
+      state.last = { value, time };
+      return { accepted: true, value, reason: null };
+    }
+
+    // A suspicious value is confirmed when the next read is plausible from it
+    if (state.pending && !this._getCounterSuspicion(state.pending, value, time)) {
+      state.last = { value, time };
+      state.pending = null;
+      return { accepted: true, value, reason: 'confirmed by two consecutive reads' };
+    }
+
+    state.pending = { value, time };
+    return { accepted: false, value, reason: suspicion };
+  }
+
+  /**
+   * Returns why a counter value is not plausible after a reference value, or null if it is plausible
+   */
+  _getCounterSuspicion(reference, value, time) {
+    const { tolerance, maxPower, margin } = this.rules.counter;
+    const delta = value - reference.value;
+    const elapsed = Math.max(0, time - reference.time);
+
+    if (delta < -tolerance) {
+      return `decrease of ${delta} Wh`;
+    }
+
+    const maxIncrease = maxPower * elapsed / 3600000 + margin;
+    if (delta > maxIncrease) {
+      return `jump of +${delta} Wh in ${Math.round(elapsed / 1000)}s`;
+    }
+    return null;
+  }
+}
+
+module.exports = ValueValidator;
@@ -1,31 +1,65 @@
+/**
+ * Alfa register map.
+ *
+ * Each sensor describes one holding register value, decoded by lib/RegisterDecoder.js:
+ * - address / count: first register and number of registers (1 for 16-bit types, 2 for 32-bit types)
+ * - type: uint16 | int16 | uint32 | int32 | float32
+ * - wordOrder / byteOrder (optional): 'big' (default) or 'little'
+ * - scale / offset (optional): value = raw * scale + offset
+ * - poll: polling tier (fast | normal | slow | daily), or pollInterval: custom interval in milliseconds
+ * - check (optional): plausibility check of lib/ValueValidator.js ('power' range or monotonic 'counter')
+ */
 const config = {
   name: "Alfa",
   type: "tcp",
   port: 502,
+  unitId: 1,
+  // Modbus client response timeout, and timeout of a single read request (ms)
+  responseTimeout: 5000,
+  readTimeout: 3000,
+  // Allowed [min, max] of the connection settings (device settings)
+  connectionLimits: { port: [1, 65535], unitId: [0, 255], responseTimeout: [500, 60000], readTimeout: [500, 60000] },
+  // Registers closer than maxGap are merged into a single read request (up to maxCount registers)
+  blockRead: { maxGap: 8, maxCount: 64 },
+  // Polling tiers in milliseconds ("normal" is replaced by the update interval of the connection).
+  // Day-1 registers change once a day: they are read hourly so the rollover is seen quickly.
+  pollTiers: { fast: 5000, normal: 15000, slow: 60000, daily: 60 * 60 * 1000 },
+  // Reconnection backoff: delay = min(maxDelay, baseDelay * 2^(attempt - 1)) +/- jitter, retries never stop
+  reconnect: { baseDelay: 5000, maxDelay: 5 * 60 * 1000, jitter: 0.2 },
+  // Supply state machine: a disconnection is imminent once the countdown is within imminentSeconds of zero
+  // (the meter clock and the polling are not exact); a cut is then inferred from a lost link, or from zero power
+  // once the countdown is within graceSeconds of zero (the meter cuts when it runs out)
+  supply: { imminentSeconds: 10, graceSeconds: 2 },
+  // Plausibility checks before values are published: power range (W); counters may decrease by at most
+  // tolerance (Wh) and increase by at most maxPower (W) over the elapsed time + margin (Wh)
+  validation: {
+    power: { min: 0, max: 30000 },
+    counter: { tolerance: 10, maxPower: 30000, margin: 100 }
+  },
   sensors: [
-    { id: "measure_power", capability: true, name: "Instant Active Power (imported)", address: 2, count: 1, type: "uint16", unit: "W" },
-    { id: "imm_ist", capability: false, name: "Instant Active Power (exported)", address: 12, count: 1, type: "uint16", unit: "W" },
-    { id: "pro_ist", capability: false, name: "Instant Active Power Produced", address: 921, count: 1, type: "uint16", unit: "W" },
-    { id: "meter_power.imported", capability: true, name: "Total Active Energy Imported", address: 5, count: 2, type: "uint32", unit: "Wh" },
-    { id: "meter_power.exported", capability: true, name: "Total Active Energy Exported", address: 15, count: 2, type: "uint32", unit: "Wh" },
-    { id: "pro_tot", capability: false, name: "Total Active Energy Produced", address: 924, count: 2, type: "uint32", unit: "Wh" },
-    { id: "pre_med", capability: false, name: "15min Avg Imported Active Power", address: 9, count: 1, type: "uint16", unit: "W" },
-    { id: "imm_med", capability: false, name: "15min Avg Exported Active Power", address: 19, count: 1, type: "uint16", unit: "W" },
-    { id: "meter_power.imp.daily.F1", capability: false, name: "Total Active Energy Imported (Day-1) F1", address: 30, count: 2, type: "uint32", unit: "Wh" },
-    { id: "meter_power.imp.daily.F2", capability: false, name: "Total Active Energy Imported (Day-1) F2", address: 32, count: 2, type: "uint32", unit: "Wh" },
-    { id: "meter_power.imp.daily.F3", capability: false, name: "Total Active Energy Imported (Day-1) F3", address: 34, count: 2, type: "uint32", unit: "Wh" },
-    { id: "meter_power.imp.daily.F4", capability: false, name: "Total Active Energy Imported (Day-1) F4", address: 36, count: 2, type: "uint32", unit: "Wh" },
-    { id: "meter_power.imp.daily.F5", capability: false, name: "Total Active Energy Imported (Day-1) F5", address: 38, count: 2, type: "uint32", unit: "Wh" },
-    { id: "meter_power.imp.daily.F6", capability: false, name: "Total Active Energy Imported (Day-1) F6", address: 40, count: 2, type: "uint32", unit: "Wh" },
-    { id: "meter_power.exp.daily.F1", capability: false, name: "Total Active Energy Exported (Day-1) F1", address: 54, count: 2, type: "uint32", unit: "Wh" },
-    { id: "meter_power.exp.daily.F2", capability: false, name: "Total Active Energy Exported (Day-1) F2", address: 56, count: 2, type: "uint32", unit: "Wh" },
-    { id: "meter_power.exp.daily.F3", capability: false, name: "Total Active Energy Exported (Day-1) F3", address: 58, count: 2, type: "uint32", unit: "Wh" },
-    { id: "meter_power.exp.daily.F4", capability: false, name: "Total Active Energy Exported (Day-1) F4", address: 60, count: 2, type: "uint32", unit: "Wh" },
-    { id: "meter_power.exp.daily.F5", capability: false, name: "Total Active Energy Exported (Day-1) F5", address: 62, count: 2, type: "uint32", unit: "Wh" },
-    { id: "meter_power.exp.daily.F6", capability: false, name: "Total Active Energy Exported (Day-1) F6", address: 64, count: 2, type: "uint32", unit: "Wh" },
-    { id: "energy_phase", capability: true, name: "Current Tariff Period", address: 203, count: 1, type: "uint16" },
-    { id: "alarm_generic", capability: true, name: "Event Timestamp", address: 780, count: 2, type: "uint32" },
-    { id: "energy_detachment", capability: false, name: "Remaining Disconnection Time", address: 782, count: 1, type: "uint16" }
+    { id: "measure_power", capability: true, name: "Instant Active Power (imported)", address: 2, count: 1, type: "uint16", unit: "W", poll: "fast", check: "power" },
+    { id: "measure_power.exported", capability: true, name: "Instant Active Power (exported)", address: 12, count: 1, type: "uint16", unit: "W", poll: "fast", check: "power" },
+    { id: "measure_power.produced", capability: true, name: "Instant Active Power Produced", address: 921, count: 1, type: "uint16", unit: "W", poll: "fast", check: "power" },
+    { id: "meter_power.imported", capability: true, name: "Total Active Energy Imported", address: 5, count: 2, type: "uint32", unit: "Wh", poll: "slow", check: "counter" },
+    { id: "meter_power.exported", capability: true, name: "Total Active Energy Exported", address: 15, count: 2, type: "uint32", unit: "Wh", poll: "slow", check: "counter" },
+    { id: "pro_tot", capability: false, name: "Total Active Energy Produced", address: 924, count: 2, type: "uint32", unit: "Wh", poll: "slow", check: "counter" },
+    { id: "measure_power.quarter_imported", capability: true, name: "15min Avg Imported Active Power", address: 9, count: 1, type: "uint16", unit: "W", poll: "normal", check: "power" },
+    { id: "measure_power.quarter_exported", capability: true, name: "15min Avg Exported Active Power", address: 19, count: 1, type: "uint16", unit: "W", poll: "normal", check: "power" },
+    { id: "meter_power.day1_imported_f1", capability: true, name: "Total Active Energy Imported (Day-1) F1", address: 30, count: 2, type: "uint32", unit: "Wh", poll: "daily" },
+    { id: "meter_power.day1_imported_f2", capability: true, name: "Total Active Energy Imported (Day-1) F2", address: 32, count: 2, type: "uint32", unit: "Wh", poll: "daily" },
+    { id: "meter_power.day1_imported_f3", capability: true, name: "Total Active Energy Imported (Day-1) F3", address: 34, count: 2, type: "uint32", unit: "Wh", poll: "daily" },
+    { id: "meter_power.day1_imported_f4", capability: true, name: "Total Active Energy Imported (Day-1) F4", address: 36, count: 2, type: "uint32", unit: "Wh", poll: "daily" },
+    { id: "meter_power.day1_imported_f5", capability: true, name: "Total Active Energy Imported (Day-1) F5", address: 38, count: 2, type: "uint32", unit: "Wh", poll: "daily" },
+    { id: "meter_power.day1_imported_f6", capability: true, name: "Total Active Energy Imported (Day-1) F6", address: 40, count: 2, type: "uint32", unit: "Wh", poll: "daily" },
+    { id: "meter_power.day1_exported_f1", capability: true, name: "Total Active Energy Exported (Day-1) F1", address: 54, count: 2, type: "uint32", unit: "Wh", poll: "daily" },
+    { id: "meter_power.day1_exported_f2", capability: true, name: "Total Active Energy Exported (Day-1) F2", address: 56, count: 2, type: "uint32", unit: "Wh", poll: "daily" },
+    { id: "meter_power.day1_exported_f3", capability: true, name: "Total Active Energy Exported (Day-1) F3", address: 58, count: 2, type: "uint32", unit: "Wh", poll: "daily" },
+    { id: "meter_power.day1_exported_f4", capability: true, name: "Total Active Energy Exported (Day-1) F4", address: 60, count: 2, type: "uint32", unit: "Wh", poll: "daily" },
+    { id: "meter_power.day1_exported_f5", capability: true, name: "Total Active Energy Exported (Day-1) F5", address: 62, count: 2, type: "uint32", unit: "Wh", poll: "daily" },
+    { id: "meter_power.day1_exported_f6", capability: true, name: "Total Active Energy Exported (Day-1) F6", address: 64, count: 2, type: "uint32", unit: "Wh", poll: "daily" },
+    { id: "energy_phase", capability: true, name: "Current Tariff Period", address: 203, count: 1, type: "uint16", poll: "normal" },
+    { id: "alarm_generic", capability: true, name: "Event Timestamp", address: 780, count: 2, type: "uint32", poll: "fast" },
+    { id: "energy_detachment", capability: false, name: "Remaining Disconnection Time", address: 782, count: 1, type: "uint16", poll: "fast" }
   ]
 };
 
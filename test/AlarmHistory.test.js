@@ -0,0 +1,118 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const AlarmHistory = require('../lib/AlarmHistory');
+
+const START = Date.UTC(2025, 0, 15, 12, 0, 0);
+const ALARM = { deviceName: 'Alfa', eventDate: 1736942400, seconds: 120, power: 4200 };
+
+describe('AlarmHistory', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alarm-history-'));
+    file = path.join(dir, 'alarm_history.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('records an episode stopped before the countdown ran out', () => {
+    const history = new AlarmHistory({ file });
+
+    history.start('alfa-1', ALARM, START);
+    history.update('alfa-1', { seconds: 95, power: 4600 });
+    history.update('alfa-1', { seconds: 90, power: 4400 });
+    const episode = history.end('alfa-1', 'stopped', START + 35 * 1000);
+
+    assert.deepEqual(episode, {
+      deviceId: 'alfa-1',
+      deviceName: 'Alfa',
+      start: START,
+      eventDate: 1736942400,
+      initialSeconds: 120,
+      minSeconds: 90,
+      peakPower: 4600,
+      outcome: 'stopped',
+      end: START + 35 * 1000,
+      duration: 35
+    });
+    assert.equal(history.isOpen('alfa-1'), false);
+  });
+
+  it('reports a disconnection when the countdown ran out', () => {
+    const history = new AlarmHistory({ file });
+
+    history.start('alfa-1', ALARM, START);
+    history.update('alfa-1', { seconds: 0 });
+
+    assert.equal(history.end('alfa-1', 'connectionLost', START + 120 * 1000).outcome, 'disconnected');
+  });
+
+  it('ignores updates and ends without an episode in progress', () => {
+    const history = new AlarmHistory({ file });
+
+    history.update('alfa-1', { seconds: 10, power: 5000 });
+    assert.equal(history.end('alfa-1', 'stopped', START), null);
+    assert.deepEqual(history.getEpisodes(), []);
+  });
+
+  it('persists the episodes and marks the ones left open as unknown', () => {
+    const history = new AlarmHistory({ file });
+    history.start('alfa-1', ALARM, START);
+    history.end('alfa-1', 'stopped', START + 10 * 1000);
+    history.start('alfa-2', ALARM, START + 20 * 1000);
+
+    const reloaded = new AlarmHistory({ file });
+    assert.deepEqual(reloaded.getEpisodes().map(episode => [episode.deviceId, episode.outcome]), [
+      ['alfa-2', 'unknown'],
+      ['alfa-1', 'stopped']
+    ]);
+    assert.equal(reloaded.isOpen('alfa-2'), false);
+  });
+
+  it('filters by device, newest first', () => {
+    const history = new AlarmHistory({ file });
+    for (const [deviceId, time] of [['alfa-1', 0], ['alfa-2', 1], ['alfa-1', 2]]) {
+      history.start(deviceId, ALARM, START + time * 60 * 1000);
+      history.end(deviceId, 'stopped', START + time * 60 * 1000 + 1000);
+    }
+
+    assert.deepEqual(history.getEpisodes('alfa-1').map(episode => episode.start), [START + 2 * 60 * 1000, START]);
+  });
+
+  it('keeps only the newest episodes', () => {
+    const history = new AlarmHistory({ file, maxEpisodes: 2 });
+    for (let i = 0; i < 3; i++) {
+      history.start('alfa-1', ALARM, START + i * 1000);
+      history.end('alfa-1', 'stopped', START + i * 1000 + 500);
+    }
+
+    assert.deepEqual(new AlarmHistory({ file }).getEpisodes().map(episode => episode.start), [START + 2000, START + 1000]);
+  });
+
+  it('clears the history but keeps the episode in progress', () => {
+    const history = new AlarmHistory({ file });
+    history.start('alfa-1', ALARM, START);
+    history.end('alfa-1', 'stopped', START + 1000);
+    history.start('alfa-1', ALARM, START + 2000);
+
+    history.clear();
+    history.end('alfa-1', 'stopped', START + 3000);
+    assert.deepEqual(history.getEpisodes().map(episode => episode.start), [START + 2000]);
+  });
+
+  it('starts empty when the file is not valid JSON', (t) => {
+    t.mock.method(console, 'error', () => {});
+    fs.writeFileSync(file, '{ truncated');
+
+    assert.deepEqual(new AlarmHistory({ file }).getEpisodes(), []);
+  });
+});
@@ -0,0 +1,144 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const SinapsiConnect = require('../lib/SinapsiConnect');
+const { FakeClock } = require('./helpers/FakeHomey');
+const { MockModbusClient, MockRegisters } = require('./helpers/MockModbusClient');
+const { createFakeSdkHomey, requireWithFakeSdk } = require('./helpers/FakeHomeySdk');
+
+const AlfaDriver = requireWithFakeSdk('drivers/alfa/driver.js');
+
+const IP_A = '192.168.1.100';
+const IP_B = '192.168.1.101';
+const IP_C = '192.168.1.102';
+const FAST_TICK = 5000;
+
+/**
+ * Creates an initialized AlfaDriver whose connections are served by mock Modbus clients, one register map
+ * per host. Everything is cleaned up when the test ends.
+ */
+async function setup(t) {
+  const clock = new FakeClock();
+  clock.install();
+  const hosts = new Map(); // host -> { registers, refuse, failReads, connectCalls }
+
+  const getHost = (host) => {
+    if (!hosts.has(host)) {
+      const registers = new MockRegisters();
+      registers.set('alarm_generic', SinapsiConnect.DISCONNECT_ALARM_INACTIVE);
+      registers.set('energy_phase', 1);
+      hosts.set(host, { registers, refuse: false, failReads: false, connectCalls: 0 });
+    }
+    return hosts.get(host);
+  };
+
+  // The host is known on connectTCP only: the client serves the registers of the host it connects to
+  class HostClient extends MockModbusClient {
+    async connectTCP(host, options) {
+      const state = getHost(host);
+      state.connectCalls++;
+      this.registers = state.registers;
+      this.connectError = state.refuse ? new Error('connect ECONNREFUSED') : null;
+      this.readError = () => (state.failReads ? new Error('Timed out') : null);
+      return super.connectTCP(host, options);
+    }
+  }
+  t.mock.method(SinapsiConnect.prototype, '_createModbusClient', () => new HostClient(null));
+
+  // Failure paths log on purpose: keep the test output readable
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  const driver = new AlfaDriver(createFakeSdkHomey(clock));
+  await driver.onInit();
+  t.after(async () => {
+    for (const deviceId of [...driver.connections.keys()]) {
+      await driver.removeConnection(deviceId);
+    }
+    clock.uninstall();
+  });
+
+  return { clock, driver, getHost };
+}
+
+/**
+ * Records the measure_power value of every payload of a connection
+ */
+function recordPower(sinapsi) {
+  const values = [];
+  sinapsi.on('taskCompleted', data => values.push(data.find(sensor => sensor.id === 'measure_power').value));
+  return values;
+}
+
+describe('AlfaDriver', () => {
+  it('polls the connections of two devices independently', async (t) => {
+    const { clock, driver, getHost } = await setup(t);
+    getHost(IP_A).registers.set('measure_power', 1200);
+    getHost(IP_B).registers.set('measure_power', 3400);
+
+    const a = await driver.createConnection('alfa-a', IP_A, 15000, false, true);
+    const b = await driver.createConnection('alfa-b', IP_B, 15000, false, true);
+    const powerA = recordPower(a);
+    const powerB = recordPower(b);
+    await clock.tick(FAST_TICK);
+
+    assert.notEqual(a, b);
+    assert.ok(powerA.length > 0 && powerA.every(power => power === 1200));
+    assert.ok(powerB.length > 0 && powerB.every(power => power === 3400));
+
+    // A device that stops answering does not hold the other one back
+    const readsA = powerA.length;
+    const readsB = powerB.length;
+    getHost(IP_A).failReads = true;
+    getHost(IP_B).registers.set('measure_power', 3500);
+    await clock.tick(2 * FAST_TICK);
+
+    assert.equal(powerA.length, readsA);
+    assert.deepEqual(powerB.slice(readsB), [3500, 3500]);
+  });
+
+  it('replaces only the connection of the device whose IP changed', async (t) => {
+    const { clock, driver, getHost } = await setup(t);
+    const a = await driver.createConnection('alfa-a', IP_A, 15000, false, true);
+    const b = await driver.createConnection('alfa-b', IP_B, 15000, false, true);
+    await clock.tick(FAST_TICK);
+    const events = [];
+    driver.on('connectionRemoved', deviceId => events.push(`connectionRemoved:${deviceId}`));
+    driver.on('connectionCreated', deviceId => events.push(`connectionCreated:${deviceId}`));
+
+    const replaced = await driver.createConnection('alfa-a', IP_C, 15000, false, true);
+
+    assert.deepEqual(events, ['connectionRemoved:alfa-a', 'connectionCreated:alfa-a']);
+    assert.equal(a.isStopped, true);
+    assert.equal(driver.getConnection('alfa-a'), replaced);
+    assert.equal(replaced.host, IP_C);
+    assert.equal(driver.getConnection('alfa-b'), b);
+    assert.equal(b.isStopped, false);
+
+    const powerB = recordPower(b);
+    await clock.tick(FAST_TICK);
+    assert.ok(powerB.length > 0);
+    assert.equal(getHost(IP_C).connectCalls, 1);
+  });
+
+  it('never reconnects a removed connection', async (t) => {
+    const { clock, driver, getHost } = await setup(t);
+    getHost(IP_A).refuse = true;
+    const a = await driver.createConnection('alfa-a', IP_A, 15000, false, true);
+    await clock.tick(FAST_TICK);
+    assert.notEqual(a.nextReconnectTime, null, 'a reconnection is pending');
+
+    const client = a.client;
+    await driver.removeConnection('alfa-a');
+    const calls = getHost(IP_A).connectCalls;
+    getHost(IP_A).refuse = false;
+    client.emit('error', new Error('ECONNRESET'));
+    await clock.tick(10 * 60 * 1000);
+
+    assert.equal(driver.getConnection('alfa-a'), undefined);
+    assert.equal(getHost(IP_A).connectCalls, calls);
+    assert.equal(a.isConnected, false);
+  });
+});
@@ -0,0 +1,117 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+
+const { FakeClock } = require('./helpers/FakeHomey');
+const { Driver, createFakeSdkHomey, requireWithFakeSdk } = require('./helpers/FakeHomeySdk');
+
+const AlfaProductionDevice = requireWithFakeSdk('drivers/alfa_production/device.js');
+
+/**
+ * Creates an initialized production device of the Alfa `parentId`. The parent driver is a stand-in with the
+ * connections of the given Alfa devices (plain emitters in place of SinapsiConnect).
+ */
+async function setup({ parentId = 'alfa_a', connections = ['alfa_a'] } = {}) {
+  const homey = createFakeSdkHomey(new FakeClock());
+
+  const parentDriver = new EventEmitter();
+  parentDriver.connections = new Map(connections.map(deviceId => [deviceId, new EventEmitter()]));
+  parentDriver.getConnection = deviceId => parentDriver.connections.get(deviceId);
+
+  const driver = new Driver(homey);
+  driver.getParentDriver = async () => parentDriver;
+
+  const device = new AlfaProductionDevice({
+    homey,
+    driver,
+    data: { id: `production_${parentId}`, parentId },
+    capabilities: ['measure_power', 'meter_power']
+  });
+  await device.onInit();
+
+  return { device, parentDriver };
+}
+
+/**
+ * Publishes a taskCompleted payload on a connection and waits for the listeners
+ */
+async function publish(sinapsi, data) {
+  await Promise.all(sinapsi.listeners('taskCompleted').map(listener => listener(data)));
+}
+
+const PAYLOAD = [
+  { id: 'measure_power.produced', value: 2500, unit: 'W' },
+  { id: 'pro_tot', value: 1234567, unit: 'Wh' },
+  { id: 'measure_power', value: 800, unit: 'W' }
+];
+
+describe('AlfaProductionDevice', () => {
+  it('listens to the connection of the Alfa of data.parentId', async () => {
+    const { device, parentDriver } = await setup({ parentId: 'alfa_b', connections: ['alfa_a', 'alfa_b'] });
+
+    assert.equal(device.sinapsi, parentDriver.getConnection('alfa_b'));
+    assert.equal(parentDriver.getConnection('alfa_a').listenerCount('taskCompleted'), 0);
+    assert.equal(device.getAvailable(), true);
+  });
+
+  it('publishes the produced power and the produced energy in kWh', async () => {
+    const { device, parentDriver } = await setup();
+
+    await publish(parentDriver.getConnection('alfa_a'), PAYLOAD);
+
+    assert.equal(device.getCapabilityValue('measure_power'), 2500);
+    assert.equal(device.getCapabilityValue('meter_power'), 1234.567);
+  });
+
+  it('detaches when the connection of its Alfa is removed and attaches to the new one', async () => {
+    const { device, parentDriver } = await setup();
+    const previous = parentDriver.getConnection('alfa_a');
+
+    parentDriver.emit('connectionRemoved', 'alfa_other');
+    assert.equal(device.sinapsi, previous);
+
+    parentDriver.emit('connectionRemoved', 'alfa_a');
+    assert.equal(device.sinapsi, null);
+    assert.equal(previous.listenerCount('taskCompleted'), 0);
+    assert.equal(device.getAvailable(), false);
+    assert.equal(device.unavailableMessage, 'error.parentMissing');
+
+    const replaced = new EventEmitter();
+    parentDriver.emit('connectionCreated', 'alfa_other', new EventEmitter());
+    parentDriver.emit('connectionCreated', 'alfa_a', replaced);
+    assert.equal(device.sinapsi, replaced);
+
+    await publish(replaced, PAYLOAD);
+    assert.equal(device.getCapabilityValue('measure_power'), 2500);
+    assert.equal(device.getAvailable(), true);
+  });
+
+  it('waits for the connection of an Alfa that is not initialized yet', async () => {
+    const { device, parentDriver } = await setup({ connections: [] });
+
+    assert.equal(device.sinapsi, null);
+    assert.equal(device.getAvailable(), false);
+
+    const sinapsi = new EventEmitter();
+    parentDriver.emit('connectionCreated', 'alfa_a', sinapsi);
+    await publish(sinapsi, PAYLOAD);
+
+    assert.equal(device.sinapsi, sinapsi);
+    assert.equal(device.getAvailable(), true);
+  });
+
+  it('follows the connection state of its Alfa', async () => {
+    const { device, parentDriver } = await setup();
+    const sinapsi = parentDriver.getConnection('alfa_a');
+
+    sinapsi.emit('connectionLost', 'timeout');
+    await new Promise(setImmediate);
+    assert.equal(device.unavailableMessage, 'error.connectionLost');
+
+    sinapsi.emit('connectionRestored');
+    await new Promise(setImmediate);
+    assert.equal(device.getAvailable(), true);
+  });
+});
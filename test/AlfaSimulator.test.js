@@ -0,0 +1,120 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+
+const SinapsiConnect = require('../lib/SinapsiConnect');
+const AlfaSimulator = require('../tools/simulator/AlfaSimulator');
+const { FakeClock, createFakeHomey } = require('./helpers/FakeHomey');
+
+const FAST_TICK = 5000;
+
+/**
+ * Finds a free localhost port (the Modbus server of modbus-serial does not listen on port 0)
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Starts a simulator on a free localhost port and a SinapsiConnect pointed at it, over real Modbus TCP.
+ * Time follows a fake clock (the polling tiers and the countdown of both sides): readData() is called by the test.
+ * Everything is cleaned up when the test ends.
+ */
+async function setup(t) {
+  const port = await getFreePort();
+  const simulator = new AlfaSimulator({ port });
+  await simulator.start();
+  const clock = new FakeClock();
+  clock.install();
+
+  // Failure paths log on purpose: keep the test output readable
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  const sinapsi = new SinapsiConnect(createFakeHomey(clock), '127.0.0.1', 15000, false, true, null, { port });
+  t.after(async () => {
+    await sinapsi.stop();
+    await simulator.stop();
+    clock.uninstall();
+  });
+
+  return { clock, simulator, sinapsi };
+}
+
+function valueOf(data, id) {
+  const item = data.find(d => d.id === id);
+  return item ? item.value : undefined;
+}
+
+/**
+ * Records the alarm events of a connection as 'name' or 'name:argument'
+ */
+function recordEvents(sinapsi) {
+  const events = [];
+  for (const name of ['firstDisconnectionWarning', 'stopWarning']) {
+    sinapsi.on(name, arg => events.push(arg === undefined ? name : `${name}:${arg}`));
+  }
+  return events;
+}
+
+describe('AlfaSimulator with SinapsiConnect', () => {
+  it('serves the register map decoded by SinapsiConnect', async (t) => {
+    const { simulator, sinapsi } = await setup(t);
+    simulator.set('measure_power', 2500);
+    simulator.set('measure_power.produced', 1800);
+    simulator.set('energy_phase', 2);
+
+    const data = await sinapsi.readData();
+
+    assert.equal(sinapsi.isConnected, true);
+    assert.equal(valueOf(data, 'measure_power'), 2500);
+    assert.equal(valueOf(data, 'measure_power.produced'), 1800);
+    assert.equal(valueOf(data, 'meter_power.imported'), simulator.get('meter_power.imported'));
+    assert.equal(valueOf(data, 'meter_power.exported'), simulator.get('meter_power.exported'));
+    assert.equal(valueOf(data, 'energy_phase'), 2);
+    assert.equal(valueOf(data, 'alarm_generic'), -1);
+  });
+
+  it('follows an alarm raised and cleared on the simulator', async (t) => {
+    const { clock, simulator, sinapsi } = await setup(t);
+    const events = recordEvents(sinapsi);
+
+    simulator.startAlarm(120);
+    await sinapsi.readData();
+    assert.deepEqual(events, ['firstDisconnectionWarning:120']);
+    assert.equal(sinapsi.getSupplyState().state, 'warning');
+
+    // The simulator counts down with the clock
+    await clock.tick(FAST_TICK);
+    const data = await sinapsi.readData();
+    assert.equal(valueOf(data, 'energy_detachment'), 115);
+
+    await clock.tick(FAST_TICK);
+    simulator.clearAlarm();
+    await sinapsi.readData();
+    assert.deepEqual(events, ['firstDisconnectionWarning:120', 'stopWarning']);
+    assert.equal(sinapsi.getSupplyState().state, 'idle');
+  });
+
+  it('falls back to single reads when the simulator answers a block read with an exception', async (t) => {
+    const { simulator, sinapsi } = await setup(t);
+    simulator.set('measure_power', 3100);
+    await sinapsi.ensureConnected();
+
+    simulator.failNextRequests(1);
+    const data = await sinapsi.readData();
+
+    assert.equal(valueOf(data, 'measure_power'), 3100);
+    assert.equal(sinapsi.getDiagnostics().blockReadFallbacks, 1);
+    assert.equal(sinapsi.isConnected, true);
+  });
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DailyBandReport = require('../lib/DailyBandReport');
+
+/**
+ * Day-1 sensor data: band i imports base * i Wh and exports base Wh
+ */
+function dayValues(base) {
+  const data = [];
+  DailyBandReport.BANDS.forEach((band, index) => {
+    data.push({ id: DailyBandReport.sensorId('imported', band), value: base * (index + 1) });
+    data.push({ id: DailyBandReport.sensorId('exported', band), value: base });
+  });
+  return data;
+}
+
+describe('DailyBandReport', () => {
+  it('does not report the values found at startup', () => {
+    const report = new DailyBandReport();
+
+    assert.equal(report.check(dayValues(1000), '2025-01-15'), null);
+    assert.equal(report.state.day, '2025-01-15');
+  });
+
+  it('reports the new values once when they roll over on another day', () => {
+    const report = new DailyBandReport();
+    report.check(dayValues(1000), '2025-01-15');
+
+    assert.equal(report.check(dayValues(1000), '2025-01-16'), null, 'not rolled over yet');
+
+    const result = report.check(dayValues(2000), '2025-01-16');
+    assert.equal(result.day, '2025-01-16');
+    assert.equal(result.imported.f1, 2);
+    assert.equal(result.imported.f6, 12);
+    assert.equal(result.exported.f3, 2);
+    assert.equal(result.importedTotal, 42);
+    assert.equal(result.exportedTotal, 12);
+
+    assert.equal(report.check(dayValues(2000), '2025-01-16'), null);
+    assert.equal(report.check(dayValues(2500), '2025-01-16'), null, 'a correction on the same day is not reported');
+  });
+
+  it('does not report the same day again after a restart', () => {
+    const first = new DailyBandReport();
+    first.check(dayValues(1000), '2025-01-15');
+    first.check(dayValues(2000), '2025-01-16');
+
+    const restarted = new DailyBandReport(first.state);
+    assert.equal(restarted.check(dayValues(2000), '2025-01-16'), null);
+    assert.ok(restarted.check(dayValues(3000), '2025-01-17'));
+  });
+
+  it('waits until every band has been read', () => {
+    const report = new DailyBandReport({ day: '2025-01-15', signature: '' });
+
+    assert.equal(report.check(dayValues(1000).slice(1), '2025-01-16'), null);
+    assert.deepEqual(report.state, { day: '2025-01-15', signature: '' });
+  });
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DerivedMetrics = require('../lib/DerivedMetrics');
+
+function sensors(values, timestamp = 1000) {
+  return Object.entries(values).map(([id, value]) => ({ id, value, timestamp }));
+}
+
+function valueOf(data, id) {
+  const item = data.find(d => d.id === id);
+  return item ? item.value : undefined;
+}
+
+describe('DerivedMetrics', () => {
+  it('computes consumption, self-consumption and self-sufficiency from the power registers', () => {
+    const data = DerivedMetrics.compute(sensors({
+      'measure_power': 200,
+      'measure_power.exported': 1500,
+      'measure_power.produced': 4000
+    }));
+
+    assert.equal(valueOf(data, 'measure_power.consumption'), 2700);
+    assert.equal(valueOf(data, 'self_consumption'), 62.5);
+    assert.equal(valueOf(data, 'self_sufficiency'), 92.6);
+  });
+
+  it('computes the lifetime percentages from the energy counters', () => {
+    const data = DerivedMetrics.compute(sensors({
+      'meter_power.imported': 3000000,
+      'meter_power.exported': 2000000,
+      'pro_tot': 5000000
+    }));
+
+    assert.equal(valueOf(data, 'self_consumption.total'), 60);
+    assert.equal(valueOf(data, 'self_sufficiency.total'), 50);
+    assert.equal(valueOf(data, 'measure_power.consumption'), undefined, 'power registers not read yet');
+  });
+
+  it('publishes the self-consumption as null when nothing is produced', () => {
+    const data = DerivedMetrics.compute(sensors({
+      'measure_power': 800,
+      'measure_power.exported': 0,
+      'measure_power.produced': 0,
+      'meter_power.imported': 3000000,
+      'meter_power.exported': 0,
+      'pro_tot': 0
+    }));
+
+    assert.equal(valueOf(data, 'measure_power.consumption'), 800);
+    assert.equal(valueOf(data, 'self_consumption'), null);
+    assert.equal(valueOf(data, 'self_sufficiency'), 0);
+    assert.equal(valueOf(data, 'self_consumption.total'), null);
+    assert.equal(valueOf(data, 'self_sufficiency.total'), 0);
+  });
+
+  it('clamps values skewed by reads taken at different times', () => {
+    const data = DerivedMetrics.compute(sensors({
+      'measure_power': 0,
+      'measure_power.exported': 2500,
+      'measure_power.produced': 2000
+    }));
+
+    assert.equal(valueOf(data, 'measure_power.consumption'), 0);
+    assert.equal(valueOf(data, 'self_consumption'), 0);
+  });
+
+  it('uses the timestamp of the oldest input', () => {
+    const data = DerivedMetrics.compute([
+      { id: 'measure_power', value: 100, timestamp: 3000 },
+      { id: 'measure_power.exported', value: 0, timestamp: 2000 },
+      { id: 'measure_power.produced', value: 0, timestamp: 1000 }
+    ]);
+
+    assert.deepEqual(data[0], {
+      id: 'measure_power.consumption',
+      capability: true,
+      name: 'Household Consumption',
+      value: 100,
+      unit: 'W',
+      type: 'derived',
+      timestamp: 1000
+    });
+  });
+});
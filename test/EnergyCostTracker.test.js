@@ -0,0 +1,100 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const EnergyCostTracker = require('../lib/EnergyCostTracker');
+
+const PRICES = { bands: { F1: 0.3, F2: 0.25, F3: 0.2 }, feedIn: 0.1 };
+
+function at(day, hours, minutes = 0) {
+  return Date.UTC(2025, 0, day, hours, minutes);
+}
+
+function createTracker(state = null) {
+  const tracker = new EnergyCostTracker(state, 'UTC');
+  tracker.setPrices(PRICES);
+  return tracker;
+}
+
+describe('EnergyCostTracker', () => {
+  it('prices each imported delta with the band current at the time of the delta', () => {
+    const tracker = createTracker();
+
+    tracker.update({ imported: 100000, exported: 50000, band: 'F1' }, at(15, 18, 58));
+    tracker.update({ imported: 102000, exported: 50000, band: 'F1' }, at(15, 18, 59)); // 2 kWh in F1
+    tracker.update({ imported: 103000, exported: 53000, band: 'F3' }, at(15, 19, 0)); // 1 kWh in F3, 3 kWh exported
+
+    assert.deepEqual(tracker.getTotals('today'), { cost: 0.8, revenue: 0.3, imported: 3, exported: 3 });
+    assert.deepEqual(tracker.getTotals('month'), tracker.getTotals('today'));
+    assert.deepEqual(tracker.getTotals('total'), tracker.getTotals('today'));
+  });
+
+  it('does not price the first reading nor a counter decrease', () => {
+    const tracker = createTracker();
+
+    tracker.update({ imported: 100000, exported: 0, band: 'F1' }, at(15, 10, 0));
+    tracker.update({ imported: 500, exported: 0, band: 'F1' }, at(15, 10, 1)); // Meter replaced
+    tracker.update({ imported: 1500, exported: 0, band: 'F2' }, at(15, 10, 2));
+
+    assert.deepEqual(tracker.getTotals('today'), { cost: 0.25, revenue: 0, imported: 1, exported: 0 });
+  });
+
+  it('returns the summary of the previous day on the first reading of a new day', () => {
+    const tracker = createTracker();
+    tracker.update({ imported: 100000, exported: 0, band: 'F1' }, at(15, 23, 50));
+    assert.equal(tracker.update({ imported: 110000, exported: 0, band: 'F1' }, at(15, 23, 59)).summary, null);
+
+    const { summary } = tracker.update({ imported: 111000, exported: 0, band: 'F3' }, at(16, 0, 1));
+
+    assert.deepEqual(summary, { day: '2025-01-15', cost: 3, revenue: 0, imported: 10, exported: 0 });
+    assert.deepEqual(tracker.getTotals('today'), { cost: 0.2, revenue: 0, imported: 1, exported: 0 });
+    assert.equal(tracker.getTotals('month').cost, 3.2);
+  });
+
+  it('starts a new month and keeps the total until it is reset', () => {
+    const tracker = createTracker();
+    tracker.update({ imported: 100000, exported: 0, band: 'F1' }, at(31, 23, 50));
+    tracker.update({ imported: 110000, exported: 0, band: 'F1' }, at(31, 23, 59));
+    tracker.update({ imported: 111000, exported: 0, band: 'F1' }, at(32, 0, 1)); // February 1st
+
+    assert.equal(tracker.getTotals('month').cost, 0.3);
+    assert.equal(tracker.getTotals('total').cost, 3.3);
+
+    tracker.reset(at(32, 11));
+    assert.equal(tracker.getTotals('total').cost, 0);
+    assert.equal(tracker.getTotals('month').cost, 0.3);
+    assert.equal(tracker.state.resetTime, at(32, 11));
+  });
+
+  it('resumes from a saved state with the new prices', () => {
+    const first = createTracker();
+    first.update({ imported: 100000, exported: 0, band: 'F1' }, at(15, 10, 0));
+
+    const restored = new EnergyCostTracker(JSON.parse(JSON.stringify(first.state)), 'UTC');
+    restored.setPrices({ bands: { F1: 0.5 } });
+    restored.update({ imported: 101000, exported: 1000, band: 'F1' }, at(15, 10, 1));
+
+    assert.deepEqual(restored.getTotals('today'), { cost: 0.5, revenue: 0, imported: 1, exported: 1 });
+  });
+
+  it('does not price the energy accumulated during a gap in the reads', () => {
+    const tracker = createTracker();
+    tracker.update({ imported: 100000, exported: 0, band: 'F3' }, at(15, 7, 0));
+    tracker.update({ imported: 101000, exported: 0, band: 'F3' }, at(15, 7, 1)); // 1 kWh in F3
+
+    // The app was stopped for 3 hours: the 6 kWh may have been used in any band
+    const { dropped } = tracker.update({ imported: 107000, exported: 2000, band: 'F1' }, at(15, 10, 1));
+    tracker.update({ imported: 108000, exported: 2000, band: 'F1' }, at(15, 10, 2)); // 1 kWh in F1
+
+    assert.deepEqual(dropped, { imported: 6, exported: 2 });
+    assert.deepEqual(tracker.getTotals('today'), { cost: 0.5, revenue: 0, imported: 2, exported: 0 });
+  });
+
+  it('does not price the first delta of a state saved without the time of the reading', () => {
+    const tracker = createTracker({ ...createTracker().state, counters: { imported: 100000, exported: 0 } });
+
+    assert.deepEqual(tracker.update({ imported: 101000, exported: 0, band: 'F1' }, at(15, 10)).dropped, { imported: 1, exported: 0 });
+    assert.equal(tracker.getTotals('total').cost, 0);
+  });
+});
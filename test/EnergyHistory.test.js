@@ -0,0 +1,165 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const EnergyHistory = require('../lib/EnergyHistory');
+
+const ROME = 'Europe/Rome';
+const START = Date.UTC(2025, 0, 15, 9, 0, 0); // 10:00 in Rome
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Builds a taskCompleted payload, every sensor read at the given time
+ */
+function payload(time, { imported = 1000000, exported = 200000, produced = 500000, band = 1, power = 1500 } = {}) {
+  return [
+    { id: 'meter_power.imported', value: imported, timestamp: time },
+    { id: 'meter_power.exported', value: exported, timestamp: time },
+    { id: 'pro_tot', value: produced, timestamp: time },
+    { id: 'energy_phase', value: band, timestamp: time },
+    { id: 'measure_power', value: power, timestamp: time }
+  ];
+}
+
+describe('EnergyHistory', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'energy-history-'));
+    file = path.join(dir, 'energy_history.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('adds the counter deltas per tariff band to the hour and the day', () => {
+    const history = new EnergyHistory(file, ROME);
+
+    history.add(payload(START));
+    history.add(payload(START + 60000, { imported: 1000400, exported: 200100, produced: 500300 }));
+    history.add(payload(START + 120000, { imported: 1000600, band: 2 }));
+
+    const range = { from: START, to: START, metrics: ['imported', 'exported', 'produced'] };
+    assert.deepEqual(history.query(range), [{
+      period: '2025-01-15T10',
+      imported: { F1: 0.4, F2: 0.2, total: 0.6 },
+      exported: { F1: 0.1, total: 0.1 },
+      produced: { F1: 0.3, total: 0.3 }
+    }]);
+    assert.deepEqual(history.query({ ...range, granularity: 'day' })[0].imported, { F1: 0.4, F2: 0.2, total: 0.6 });
+  });
+
+  it('computes the average and maximum power of the new reads only', () => {
+    const history = new EnergyHistory(file, ROME);
+    const power = (value, time) => [{ id: 'measure_power', value, timestamp: time }];
+
+    history.add(power(1000, START));
+    history.add(power(1000, START)); // Same read published again
+    history.add(power(3000, START + 5000));
+    history.add(power(500, START + HOUR));
+
+    assert.deepEqual(history.query({ from: START, to: START + HOUR, metrics: ['power'] }), [
+      { period: '2025-01-15T10', power: { average: 2000, max: 3000 } },
+      { period: '2025-01-15T11', power: { average: 500, max: 500 } }
+    ]);
+    assert.deepEqual(history.query({ from: START, to: START, granularity: 'day', metrics: ['power'] }), [
+      { period: '2025-01-15', power: { average: 1500, max: 3000 } }
+    ]);
+  });
+
+  it('restarts the tracking when a counter decreases', () => {
+    const history = new EnergyHistory(file, ROME);
+
+    history.add(payload(START));
+    history.add(payload(START + 60000, { imported: 1000 }));
+    history.add(payload(START + 120000, { imported: 1500 }));
+
+    assert.deepEqual(history.query({ from: START, to: START, metrics: ['imported'] })[0].imported, { F1: 0.5, total: 0.5 });
+  });
+
+  it('persists the buckets and the counters', () => {
+    const history = new EnergyHistory(file, ROME);
+    history.add(payload(START));
+    history.add(payload(START + 60000, { imported: 1000400 }));
+    history.save(START + 60000);
+
+    const reloaded = new EnergyHistory(file, ROME);
+    reloaded.add(payload(START + 120000, { imported: 1000500 }));
+    assert.deepEqual(reloaded.query({ from: START, to: START, metrics: ['imported'] })[0].imported, { F1: 0.5, total: 0.5 });
+  });
+
+  it('drops the counter deltas across a gap in the reads, also after a restart', () => {
+    const history = new EnergyHistory(file, ROME);
+    history.add(payload(START));
+    history.add(payload(START + 60000, { imported: 1000400 }));
+    history.save(START + 60000);
+
+    // Restarted 2 hours later: the energy of the downtime is not added to the current hour
+    const reloaded = new EnergyHistory(file, ROME);
+    const restart = START + 2 * HOUR;
+    reloaded.add(payload(restart, { imported: 1003000, band: 2 }));
+    reloaded.add(payload(restart + 60000, { imported: 1003200, band: 2 }));
+    reloaded.add(payload(restart + 60000 + EnergyHistory.MAX_READ_GAP + 1, { imported: 1004000, band: 2 }));
+
+    const rows = reloaded.query({ from: START, to: restart, metrics: ['imported'] });
+    assert.deepEqual(rows, [
+      { period: '2025-01-15T10', imported: { F1: 0.4, total: 0.4 } },
+      { period: '2025-01-15T12', imported: { F2: 0.2, total: 0.2 } }
+    ]);
+  });
+
+  it('drops the first counter delta of a file saved without the read time', () => {
+    fs.writeFileSync(file, JSON.stringify({ counters: { imported: 1000000 }, hourly: {}, daily: {} }));
+    const history = new EnergyHistory(file, ROME);
+
+    history.add(payload(START, { imported: 1000500 }));
+    history.add(payload(START + 60000, { imported: 1000600 }));
+
+    assert.deepEqual(history.query({ from: START, to: START, metrics: ['imported'] })[0].imported, { F1: 0.1, total: 0.1 });
+  });
+
+  it('drops the hourly and daily buckets older than the retention when saving', () => {
+    const history = new EnergyHistory(file, ROME);
+    history.setRetention({ hourlyDays: 1, dailyDays: 3 });
+    const power = (value, time) => [{ id: 'measure_power', value, timestamp: time }];
+
+    for (let day = 0; day < 5; day++) {
+      history.add(power(1000, START + day * DAY));
+    }
+    history.save(START + 4 * DAY);
+
+    const reloaded = new EnergyHistory(file, ROME);
+    const periods = granularity => reloaded.query({ from: START, to: START + 4 * DAY, granularity, metrics: [] })
+      .map(row => row.period);
+    assert.deepEqual(periods('hour'), ['2025-01-18T10', '2025-01-19T10']);
+    assert.deepEqual(periods('day'), ['2025-01-16', '2025-01-17', '2025-01-18', '2025-01-19']);
+  });
+
+  it('caps the retention', () => {
+    const history = new EnergyHistory(file, ROME);
+
+    history.setRetention({ hourlyDays: 1000, dailyDays: 0 });
+    assert.deepEqual(history.retention, { hourlyDays: EnergyHistory.MAX_HOURLY_DAYS, dailyDays: EnergyHistory.DEFAULTS.dailyDays });
+  });
+
+  it('rejects an unknown granularity or metric', () => {
+    const history = new EnergyHistory(file, ROME);
+
+    assert.throws(() => history.query({ from: START, to: START, granularity: 'week' }), /Invalid granularity: week/);
+    assert.throws(() => history.query({ from: START, to: START, metrics: ['imported', 'cost'] }), /Invalid metric: cost/);
+  });
+
+  it('starts empty when the file is not valid JSON', (t) => {
+    t.mock.method(console, 'error', () => {});
+    fs.writeFileSync(file, '{ truncated');
+
+    assert.deepEqual(new EnergyHistory(file, ROME).query({ from: START - DAY, to: START + DAY }), []);
+  });
+});
@@ -0,0 +1,39 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { writeJsonAtomic } = require('../lib/FileUtils');
+
+describe('FileUtils', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-utils-'));
+    file = path.join(dir, 'history.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('replaces the file with the JSON of the value, leaving no temporary file', () => {
+    writeJsonAtomic(file, [1, 2]);
+    writeJsonAtomic(file, { episodes: [3] });
+
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { episodes: [3] });
+    assert.deepEqual(fs.readdirSync(dir), ['history.json']);
+  });
+
+  it('leaves the previous content when the write fails', () => {
+    writeJsonAtomic(file, [1, 2]);
+    fs.mkdirSync(`${file}.tmp`); // The temporary file cannot be written
+
+    assert.throws(() => writeJsonAtomic(file, [3]), /EISDIR/);
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), [1, 2]);
+  });
+});
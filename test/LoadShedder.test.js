@@ -0,0 +1,159 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const LoadShedder = require('../lib/LoadShedder');
+const { FakeClock, createFakeHomey, flushPromises } = require('./helpers/FakeHomey');
+
+const SECOND = 1000;
+const ALFA = 'alfa-1';
+
+const LOADS = [
+  { id: 'ev', name: 'EV charger' },
+  { id: 'boiler', name: 'Boiler' },
+  { id: 'oven', name: 'Oven' }
+];
+
+function setup(t, config = {}, initialStates = { ev: true, boiler: true, oven: true }) {
+  const clock = new FakeClock();
+  clock.install();
+  t.after(() => clock.uninstall());
+
+  const states = { ...initialStates };
+  const calls = [];
+  const shedder = new LoadShedder(createFakeHomey(clock), {
+    getState: async (id) => states[id],
+    setState: async (id, on) => {
+      calls.push(`${id}:${on ? 'on' : 'off'}`);
+      states[id] = on;
+    }
+  });
+  const actions = [];
+  shedder.on('action', entry => actions.push(entry.action));
+  shedder.setConfig({ enabled: true, loads: LOADS, stepDelay: 10, restoreDelay: 60, ...config });
+  t.after(() => shedder.destroy());
+
+  return { clock, shedder, states, calls, actions };
+}
+
+describe('LoadShedder', () => {
+  it('switches the loads off one at a time in priority order', async (t) => {
+    const { clock, shedder, calls } = setup(t);
+
+    shedder.onWarning(ALFA);
+    await flushPromises();
+    assert.deepEqual(calls, ['ev:off']);
+
+    await clock.tick(10 * SECOND);
+    assert.deepEqual(calls, ['ev:off', 'boiler:off']);
+
+    await clock.tick(10 * SECOND);
+    assert.deepEqual(calls, ['ev:off', 'boiler:off', 'oven:off']);
+    assert.equal(shedder.getStatus().state, 'shedding');
+  });
+
+  it('stops shedding once the power is below the limit', async (t) => {
+    const { clock, shedder, calls } = setup(t, { powerLimit: 3000 });
+    shedder.updatePower(ALFA, 4200);
+
+    shedder.onWarning(ALFA);
+    await flushPromises();
+    shedder.updatePower(ALFA, 2800);
+    await clock.tick(30 * SECOND);
+    assert.deepEqual(calls, ['ev:off']);
+
+    // The power rises again while the warning is active
+    shedder.updatePower(ALFA, 3500);
+    await clock.tick(10 * SECOND);
+    assert.deepEqual(calls, ['ev:off', 'boiler:off']);
+  });
+
+  it('skips the loads that are already off and never switches them on', async (t) => {
+    const { clock, shedder, calls, actions } = setup(t, {}, { ev: false, boiler: true, oven: true });
+
+    shedder.onWarning(ALFA);
+    await flushPromises();
+    assert.deepEqual(calls, ['boiler:off']);
+    assert.deepEqual(actions, ['started', 'skipped', 'shed']);
+
+    shedder.onStopWarning(ALFA);
+    await clock.tick(60 * SECOND);
+    assert.deepEqual(calls, ['boiler:off', 'boiler:on']);
+  });
+
+  it('restores the loads in reverse order after the restore delay', async (t) => {
+    const { clock, shedder, calls, actions } = setup(t);
+    shedder.onWarning(ALFA);
+    await clock.tick(10 * SECOND);
+
+    shedder.onStopWarning(ALFA);
+    await clock.tick(60 * SECOND - 1);
+    assert.deepEqual(calls, ['ev:off', 'boiler:off']);
+
+    await clock.tick(1);
+    assert.deepEqual(calls, ['ev:off', 'boiler:off', 'boiler:on']);
+
+    await clock.tick(10 * SECOND);
+    assert.deepEqual(calls, ['ev:off', 'boiler:off', 'boiler:on', 'ev:on']);
+    assert.equal(shedder.getStatus().state, 'idle');
+    assert.equal(actions[actions.length - 1], 'completed');
+    assert.equal(clock.pendingTimers(), 0);
+  });
+
+  it('resumes shedding when a new warning arrives during the restore delay', async (t) => {
+    const { clock, shedder, calls } = setup(t);
+    shedder.onWarning(ALFA);
+    await flushPromises();
+    shedder.onStopWarning(ALFA);
+    await clock.tick(30 * SECOND);
+
+    shedder.onWarning(ALFA);
+    await flushPromises();
+    assert.deepEqual(calls, ['ev:off', 'boiler:off']);
+
+    await clock.tick(60 * SECOND);
+    assert.deepEqual(calls, ['ev:off', 'boiler:off', 'oven:off']);
+  });
+
+  it('ignores the warnings of other Alfa devices and when disabled', async (t) => {
+    const { shedder, calls } = setup(t, { deviceId: ALFA });
+
+    shedder.onWarning('alfa-2');
+    await flushPromises();
+    assert.deepEqual(calls, []);
+
+    shedder.setConfig({ enabled: false, loads: LOADS });
+    shedder.onWarning(ALFA);
+    await flushPromises();
+    assert.deepEqual(calls, []);
+  });
+
+  it('restores the shed loads when disabled while shedding', async (t) => {
+    const { clock, shedder, calls } = setup(t);
+    shedder.onWarning(ALFA);
+    await flushPromises();
+
+    shedder.setConfig({ enabled: false, loads: LOADS });
+    await clock.tick(0);
+    assert.deepEqual(calls, ['ev:off', 'ev:on']);
+  });
+
+  it('logs a failed switch and moves on to the next load', async (t) => {
+    const { shedder, calls, actions } = setup(t);
+    const setState = shedder.setState;
+    shedder.setState = async (id, on) => {
+      if (id === 'ev') throw new Error('Device unavailable');
+      return setState(id, on);
+    };
+    const entries = [];
+    shedder.on('action', entry => entries.push(entry));
+
+    shedder.onWarning(ALFA);
+    await flushPromises();
+    assert.deepEqual(calls, ['boiler:off']);
+    assert.deepEqual(actions, ['started', 'failed', 'shed']);
+    assert.equal(entries[1].error, 'Device unavailable');
+    assert.equal(entries[1].name, 'EV charger');
+  });
+});
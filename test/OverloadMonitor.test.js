@@ -0,0 +1,72 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const OverloadMonitor = require('../lib/OverloadMonitor');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+describe('OverloadMonitor', () => {
+  it('stays normal up to the contractual power plus the tolerance', () => {
+    const monitor = new OverloadMonitor({ contractualPower: 3000 });
+
+    assert.deepEqual(monitor.update(3300, 0), { level: 'normal', power: 3300, threshold: null, seconds: null, escalated: false });
+  });
+
+  it('counts down the overrun time while the power stays above the tolerance', () => {
+    const monitor = new OverloadMonitor({ contractualPower: 3000 });
+
+    const start = monitor.update(3500, 0);
+    assert.equal(start.level, 'overrun');
+    assert.equal(start.threshold, 3300);
+    assert.equal(start.seconds, 180 * 60);
+    assert.equal(start.escalated, true);
+
+    const later = monitor.update(3600, 60 * MINUTE);
+    assert.equal(later.seconds, 120 * 60);
+    assert.equal(later.escalated, false);
+  });
+
+  it('escalates above the overrun limit with the shorter time', () => {
+    const monitor = new OverloadMonitor({ contractualPower: 3000 });
+    monitor.update(3500, 0);
+
+    const peak = monitor.update(4000, 10 * MINUTE);
+    assert.equal(peak.level, 'peak');
+    assert.equal(peak.threshold, 3810);
+    assert.equal(peak.seconds, 120);
+    assert.equal(peak.escalated, true);
+
+    assert.equal(monitor.update(4000, 10 * MINUTE + 30 * SECOND).seconds, 90);
+  });
+
+  it('keeps the overrun countdown running when the peak ends', () => {
+    const monitor = new OverloadMonitor({ contractualPower: 3000 });
+    monitor.update(3500, 0);
+    monitor.update(4000, 170 * MINUTE);
+
+    const back = monitor.update(3500, 171 * MINUTE);
+    assert.equal(back.level, 'overrun');
+    assert.equal(back.seconds, 9 * 60);
+    assert.equal(back.escalated, false);
+  });
+
+  it('restarts the count when the power goes back below the tolerance', () => {
+    const monitor = new OverloadMonitor({ contractualPower: 3000 });
+    monitor.update(3500, 0);
+    monitor.update(3000, 30 * MINUTE);
+
+    const again = monitor.update(3500, 40 * MINUTE);
+    assert.equal(again.seconds, 180 * 60);
+    assert.equal(again.escalated, true);
+  });
+
+  it('applies custom limits', () => {
+    const monitor = new OverloadMonitor({ contractualPower: 6000, tolerancePercent: 0, overrunPercent: 10, overrunMinutes: 60, peakSeconds: 30 });
+
+    assert.equal(monitor.update(6100, 0).seconds, 60 * 60);
+    assert.equal(monitor.update(6700, 0).seconds, 30);
+  });
+});
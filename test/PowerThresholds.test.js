@@ -0,0 +1,95 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PowerThresholds = require('../lib/PowerThresholds');
+
+const SAMPLE = 15 * 1000;
+const MINUTE = 60 * 1000;
+
+describe('PowerThresholds', () => {
+  it('fires once when the power rises above the threshold', () => {
+    const thresholds = new PowerThresholds();
+    const args = [{ threshold: 3000, hysteresis: 0, duration: 0 }];
+
+    assert.deepEqual(thresholds.update('above', 'above', args, 2500, 0), []);
+    assert.deepEqual(thresholds.update('above', 'above', args, 3200, SAMPLE), [{ key: '3000|0|0', threshold: 3000 }]);
+    assert.deepEqual(thresholds.update('above', 'above', args, 3400, 2 * SAMPLE), []);
+  });
+
+  it('does not fire when the first reading is already above the threshold', () => {
+    const thresholds = new PowerThresholds();
+    const args = [{ threshold: 3000, hysteresis: 0, duration: 0 }];
+
+    assert.deepEqual(thresholds.update('above', 'above', args, 3500, 0), []);
+    assert.deepEqual(thresholds.update('above', 'above', args, 3500, SAMPLE), []);
+  });
+
+  it('re-arms only below the hysteresis band', () => {
+    const thresholds = new PowerThresholds();
+    const args = [{ threshold: 3000, hysteresis: 200, duration: 0 }];
+    thresholds.update('above', 'above', args, 2500, 0);
+    assert.equal(thresholds.update('above', 'above', args, 3100, SAMPLE).length, 1);
+
+    // Oscillating around the threshold does not fire again
+    thresholds.update('above', 'above', args, 2900, 2 * SAMPLE);
+    assert.equal(thresholds.update('above', 'above', args, 3100, 3 * SAMPLE).length, 0);
+
+    thresholds.update('above', 'above', args, 2800, 4 * SAMPLE);
+    assert.equal(thresholds.update('above', 'above', args, 3100, 5 * SAMPLE).length, 1);
+  });
+
+  it('waits for the minimum duration above the threshold', () => {
+    const thresholds = new PowerThresholds();
+    const args = [{ threshold: 1000, hysteresis: 0, duration: 5 }];
+    thresholds.update('export', 'above', args, 500, 0);
+
+    assert.equal(thresholds.update('export', 'above', args, 1500, MINUTE).length, 0);
+    assert.equal(thresholds.update('export', 'above', args, 1500, 5 * MINUTE).length, 0);
+    assert.equal(thresholds.update('export', 'above', args, 1500, 6 * MINUTE).length, 1);
+  });
+
+  it('restarts the duration when the power drops back', () => {
+    const thresholds = new PowerThresholds();
+    const args = [{ threshold: 1000, hysteresis: 0, duration: 5 }];
+    thresholds.update('export', 'above', args, 500, 0);
+    thresholds.update('export', 'above', args, 1500, MINUTE);
+    thresholds.update('export', 'above', args, 900, 4 * MINUTE);
+
+    assert.equal(thresholds.update('export', 'above', args, 1500, 6 * MINUTE).length, 0);
+    assert.equal(thresholds.update('export', 'above', args, 1500, 11 * MINUTE).length, 1);
+  });
+
+  it('mirrors the hysteresis for a falling threshold', () => {
+    const thresholds = new PowerThresholds();
+    const args = [{ threshold: 500, hysteresis: 100, duration: 0 }];
+    thresholds.update('below', 'below', args, 800, 0);
+
+    assert.equal(thresholds.update('below', 'below', args, 400, SAMPLE).length, 1);
+    thresholds.update('below', 'below', args, 550, 2 * SAMPLE);
+    assert.equal(thresholds.update('below', 'below', args, 400, 3 * SAMPLE).length, 0);
+    thresholds.update('below', 'below', args, 650, 4 * SAMPLE);
+    assert.equal(thresholds.update('below', 'below', args, 400, 5 * SAMPLE).length, 1);
+  });
+
+  it('keeps a separate state per set of arguments and per card', () => {
+    const thresholds = new PowerThresholds();
+    const args = [{ threshold: 2000, hysteresis: 0, duration: 0 }, { threshold: 3000, hysteresis: 0, duration: 0 }];
+    thresholds.update('above', 'above', args, 1000, 0);
+    thresholds.update('other', 'above', [args[0]], 2500, 0);
+
+    assert.deepEqual(thresholds.update('above', 'above', args, 2500, SAMPLE).map(fired => fired.key), ['2000|0|0']);
+    assert.deepEqual(thresholds.update('above', 'above', args, 3500, 2 * SAMPLE).map(fired => fired.key), ['3000|0|0']);
+    assert.equal(thresholds.update('other', 'above', [args[0]], 2500, SAMPLE).length, 0);
+  });
+
+  it('forgets the arguments no flow uses anymore', () => {
+    const thresholds = new PowerThresholds();
+    thresholds.update('above', 'above', [{ threshold: 2000 }], 1000, 0);
+    thresholds.update('below', 'below', [{ threshold: 500 }], 1000, 0);
+
+    thresholds.update('above', 'above', [{ threshold: 2500 }], 1000, SAMPLE);
+    assert.deepEqual([...thresholds.states.keys()], ['below|500|0|0', 'above|2500|0|0']);
+  });
+});
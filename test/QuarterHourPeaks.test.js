@@ -0,0 +1,53 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const QuarterHourPeaks = require('../lib/QuarterHourPeaks');
+
+const TIME_ZONE = 'UTC';
+
+function at(day, hours, minutes) {
+  return Date.UTC(2025, 0, day, hours, minutes);
+}
+
+describe('QuarterHourPeaks', () => {
+  it('records the highest average of the day with the start of its quarter-hour', () => {
+    const peaks = new QuarterHourPeaks(null, TIME_ZONE);
+
+    assert.deepEqual(peaks.update(1500, at(15, 10, 2)), { daily: true, monthly: true });
+    assert.deepEqual(peaks.update(1200, at(15, 10, 17)), { daily: false, monthly: false });
+    assert.deepEqual(peaks.update(2500, at(15, 10, 31)), { daily: true, monthly: true });
+
+    assert.deepEqual(peaks.state.daily, { key: '2025-01-15', value: 2500, time: at(15, 10, 15) });
+    assert.equal(peaks.getPeak('daily', at(15, 12, 0)).value, 2500);
+  });
+
+  it('starts a new daily record every day and keeps the monthly one', () => {
+    const peaks = new QuarterHourPeaks(null, TIME_ZONE);
+    peaks.update(2500, at(15, 10, 2));
+
+    assert.deepEqual(peaks.update(800, at(16, 8, 2)), { daily: true, monthly: false });
+    assert.equal(peaks.state.daily.value, 800);
+    assert.equal(peaks.state.monthly.value, 2500);
+    assert.equal(peaks.getPeak('daily', at(17, 0, 30)), null);
+  });
+
+  it('counts the last quarter-hour of the day for that day', () => {
+    const peaks = new QuarterHourPeaks(null, TIME_ZONE);
+    peaks.update(1000, at(15, 23, 50));
+
+    peaks.update(3000, at(16, 0, 5)); // Average of 23:45-00:00
+
+    assert.equal(peaks.state.daily.key, '2025-01-15');
+    assert.equal(peaks.state.daily.value, 3000);
+  });
+
+  it('resumes from a saved state', () => {
+    const first = new QuarterHourPeaks(null, TIME_ZONE);
+    first.update(2500, at(15, 10, 2));
+
+    const restored = new QuarterHourPeaks(JSON.parse(JSON.stringify(first.state)), TIME_ZONE);
+    assert.deepEqual(restored.update(2000, at(15, 11, 2)), { daily: false, monthly: false });
+  });
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { RegisterDecoder, DecoderError } = require('../lib/RegisterDecoder');
+const config = require('../lib/config/config');
+
+function assertDecoderError(fn, code) {
+  assert.throws(fn, error => {
+    assert.ok(error instanceof DecoderError);
+    assert.equal(error.code, code);
+    return true;
+  });
+}
+
+describe('RegisterDecoder', () => {
+  describe('decode', () => {
+    it('decodes uint32 values above 2^31 as positive numbers', () => {
+      assert.equal(RegisterDecoder.decode([0x8000, 0x0000], { type: 'uint32' }), 2147483648);
+      assert.equal(RegisterDecoder.decode([0xFFFF, 0xFFFF], { type: 'uint32' }), 4294967295);
+    });
+
+    it('decodes signed types', () => {
+      assert.equal(RegisterDecoder.decode([0xFFFF], { type: 'int16' }), -1);
+      assert.equal(RegisterDecoder.decode([0x8000], { type: 'int16' }), -32768);
+      assert.equal(RegisterDecoder.decode([0xFFFF, 0xFFFE], { type: 'int32' }), -2);
+      assert.equal(RegisterDecoder.decode([0xFFFF], { type: 'uint16' }), 65535);
+    });
+
+    it('decodes float32 and its alias', () => {
+      assert.equal(RegisterDecoder.decode([0x4048, 0xF5C3], { type: 'float32' }), Math.fround(3.14));
+      assert.equal(RegisterDecoder.decode([0x4048, 0xF5C3], { type: 'float' }), Math.fround(3.14));
+    });
+
+    it('applies word and byte order', () => {
+      assert.equal(RegisterDecoder.decode([0x0000, 0x0001], { type: 'uint32', wordOrder: 'little' }), 65536);
+      assert.equal(RegisterDecoder.decode([0x3412], { type: 'uint16', byteOrder: 'little' }), 0x1234);
+      assert.equal(RegisterDecoder.decode([0x7856, 0x3412], { type: 'uint32', wordOrder: 'little', byteOrder: 'little' }), 0x12345678);
+    });
+
+    it('applies scale and offset', () => {
+      assert.equal(RegisterDecoder.decode([2305], { type: 'uint16', scale: 0.1 }), 230.5);
+      assert.equal(RegisterDecoder.decode([0xFFFF], { type: 'int16', scale: 0.1 }), -0.1);
+      assert.equal(RegisterDecoder.decode([100], { type: 'uint16', scale: 2, offset: -50 }), 150);
+    });
+
+    it('rejects short data', () => {
+      assertDecoderError(() => RegisterDecoder.decode([1], { type: 'uint32' }), 'ERROR_SHORT_DATA');
+      assertDecoderError(() => RegisterDecoder.decode(undefined, { type: 'uint16' }), 'ERROR_SHORT_DATA');
+    });
+  });
+
+  describe('encode', () => {
+    const sensors = [
+      { type: 'uint16' },
+      { type: 'int16' },
+      { type: 'uint32' },
+      { type: 'int32', wordOrder: 'little' },
+      { type: 'uint32', byteOrder: 'little' },
+      { type: 'int16', scale: 0.1 }
+    ];
+    const values = { uint16: [0, 65535], int16: [-32768, -1, 32767], uint32: [0, 2147483648, 4294967295], int32: [-2147483648, -1, 2147483647] };
+
+    for (const sensor of sensors) {
+      it(`round-trips ${JSON.stringify(sensor)}`, () => {
+        for (const raw of values[sensor.type]) {
+          const value = sensor.scale ? raw * sensor.scale : raw;
+          const decoded = RegisterDecoder.decode(RegisterDecoder.encode(value, sensor), sensor);
+          assert.ok(Math.abs(decoded - value) < 1e-9, `${value} decoded as ${decoded}`);
+        }
+      });
+    }
+  });
+
+  describe('inspect', () => {
+    it('decodes every word and word pair', () => {
+      const rows = RegisterDecoder.inspect([0xFFFF, 0xFFFF, 0x0078], 780);
+
+      assert.equal(rows.length, 3);
+      assert.deepEqual(rows[0], {
+        address: 780, raw: 65535, hex: '0xFFFF', uint16: 65535, int16: -1, uint32: 4294967295, int32: -1, float32: NaN
+      });
+      assert.equal(rows[1].uint32, 0xFFFF0078);
+      assert.equal(rows[2].hex, '0x0078');
+      assert.equal(rows[2].uint32, null);
+    });
+
+    it('applies the word order to 32-bit decodings', () => {
+      const rows = RegisterDecoder.inspect([0x0000, 0x0001], 5, 'little');
+
+      assert.equal(rows[0].uint32, 65536);
+    });
+  });
+
+  describe('validate', () => {
+    it('accepts the register map of config.js', () => {
+      config.sensors.forEach(sensor => RegisterDecoder.validate(sensor));
+    });
+
+    it('rejects invalid definitions', () => {
+      assertDecoderError(() => RegisterDecoder.validate({ id: 'x', type: 'int64', count: 4 }), 'ERROR_UNSUPPORTED_TYPE');
+      assertDecoderError(() => RegisterDecoder.validate({ id: 'x', type: 'uint32', count: 1 }), 'ERROR_REGISTER_COUNT');
+      assertDecoderError(() => RegisterDecoder.validate({ id: 'x', type: 'uint16', count: 1, wordOrder: 'middle' }), 'ERROR_BYTE_ORDER');
+      assertDecoderError(() => RegisterDecoder.validate({ id: 'x', type: 'uint16', count: 1, scale: NaN }), 'ERROR_SCALING');
+    });
+  });
+});
@@ -0,0 +1,731 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const SinapsiConnect = require('../lib/SinapsiConnect');
+const { FakeClock, createFakeHomey } = require('./helpers/FakeHomey');
+const { MockModbusClient, MockRegisters } = require('./helpers/MockModbusClient');
+
+const ALARM_INACTIVE = SinapsiConnect.DISCONNECT_ALARM_INACTIVE;
+const FAST_TICK = 5000;
+
+/**
+ * Creates a SinapsiConnect served by mock Modbus clients and driven by a fake clock.
+ * Everything is cleaned up when the test ends.
+ */
+function setup(t, options = {}) {
+  const clock = new FakeClock();
+  clock.install();
+  const homey = createFakeHomey(clock);
+  const registers = new MockRegisters();
+  registers.set('alarm_generic', ALARM_INACTIVE);
+  registers.set('energy_phase', 1);
+  const clients = [];
+
+  class TestSinapsiConnect extends SinapsiConnect {
+    _createModbusClient() {
+      const client = new MockModbusClient(registers);
+      clients.push(client);
+      return client;
+    }
+  }
+
+  // Failure paths log on purpose: keep the test output readable
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  const sinapsi = new TestSinapsiConnect(homey, '192.168.1.100', 15000, false, true, null, options);
+  t.after(async () => {
+    await sinapsi.stop();
+    clock.uninstall();
+  });
+
+  return { clock, registers, clients, sinapsi };
+}
+
+/**
+ * Records the events of a connection as 'name' or 'name:argument'
+ */
+function recordEvents(sinapsi) {
+  const events = [];
+  const names = ['disconnectionWarning', 'firstDisconnectionWarning', 'stopWarning', 'warningEndedByDisconnection',
+    'connectionLost', 'connectionRestored'];
+  for (const name of names) {
+    sinapsi.on(name, arg => events.push(arg === undefined ? name : `${name}:${arg}`));
+  }
+  return events;
+}
+
+function valueOf(data, id) {
+  const item = data.find(d => d.id === id);
+  return item ? item.value : undefined;
+}
+
+/**
+ * Leaves out the metrics derived from the read values
+ */
+function readSensors(data) {
+  return data.filter(d => d.type !== 'derived');
+}
+
+/**
+ * Starts a disconnection alarm with the given countdown (seconds)
+ */
+function startAlarm(registers, countdown) {
+  registers.set('alarm_generic', Math.floor(Date.now() / 1000));
+  registers.set('energy_detachment', countdown);
+}
+
+function clearAlarm(registers) {
+  registers.set('alarm_generic', ALARM_INACTIVE);
+  registers.set('energy_detachment', 0);
+}
+
+describe('SinapsiConnect', () => {
+  describe('readData', () => {
+    it('reads every sensor on the first cycle with block requests', async (t) => {
+      const { registers, sinapsi } = setup(t);
+      registers.set('measure_power', 1500);
+      registers.set('meter_power.imported', 1250000);
+
+      const data = await sinapsi.readData();
+
+      assert.equal(readSensors(data).length, sinapsi.sensors.length);
+      assert.equal(valueOf(data, 'measure_power'), 1500);
+      assert.equal(valueOf(data, 'meter_power.imported'), 1250000);
+      assert.ok(sinapsi.client.reads.length < sinapsi.sensors.length, 'sensors should be grouped in blocks');
+    });
+
+    it('emits the merged payload and reads only the due sensors on the next tick', async (t) => {
+      const { clock, registers, sinapsi } = setup(t);
+      await sinapsi.readData();
+
+      let payload = null;
+      sinapsi.on('taskCompleted', data => { payload = data; });
+      registers.set('measure_power', 2000);
+      registers.set('meter_power.imported', 999);
+      sinapsi.client.reads = [];
+      await clock.tick(FAST_TICK);
+      await sinapsi.readData();
+
+      assert.equal(readSensors(payload).length, sinapsi.sensors.length);
+      assert.equal(valueOf(payload, 'measure_power'), 2000);
+      assert.equal(valueOf(payload, 'meter_power.imported'), 0, 'slow tier sensor is not due yet');
+      assert.ok(!sinapsi.client.reads.some(([address]) => address === 30), 'daily tier registers are not read');
+    });
+
+    it('falls back to single reads when a block read fails', async (t) => {
+      const { registers, sinapsi } = setup(t);
+      registers.set('measure_power', 700);
+      await sinapsi.ensureConnected();
+      sinapsi.client.readError = (address, count) => (count > 2 ? new Error('Illegal data address') : null);
+
+      const data = await sinapsi.readData();
+
+      assert.equal(valueOf(data, 'measure_power'), 700);
+      assert.ok(sinapsi.getDiagnostics().blockReadFallbacks > 0);
+    });
+
+    it('rejects a read that does not answer within 3 s', async (t) => {
+      const { clock, sinapsi } = setup(t);
+      sinapsi.client.hangReads = true;
+
+      const assertion = assert.rejects(sinapsi._readRegisters(2, 1), /Modbus read timeout/);
+      await clock.tick(3000);
+      await assertion;
+    });
+  });
+
+  describe('derived metrics', () => {
+    it('appends household consumption and self-consumption to the payload', async (t) => {
+      const { registers, sinapsi } = setup(t);
+      registers.set('measure_power', 500);
+      registers.set('measure_power.exported', 1000);
+      registers.set('measure_power.produced', 3000);
+
+      const data = await sinapsi.readData();
+
+      assert.equal(valueOf(data, 'measure_power.consumption'), 2500);
+      assert.equal(valueOf(data, 'self_consumption'), 66.7);
+      assert.equal(valueOf(data, 'self_sufficiency'), 80);
+      assert.equal(valueOf(data, 'self_consumption.total'), null, 'no lifetime production yet');
+    });
+  });
+
+  describe('value validation', () => {
+    it('neither publishes nor caches a garbled counter, and reads it again on the next tick', async (t) => {
+      const { clock, registers, sinapsi } = setup(t);
+      registers.set('meter_power.imported', 1000000);
+      await sinapsi.readData();
+
+      let payload = null;
+      sinapsi.on('taskCompleted', data => { payload = data; });
+      await clock.tick(60000);
+      registers.set('meter_power.imported', 1000000 + 65536);
+      await sinapsi.readData();
+
+      assert.equal(valueOf(payload, 'meter_power.imported'), 1000000);
+      assert.equal(sinapsi.getDiagnostics().rejectedValues, 1);
+      assert.equal(sinapsi.getDiagnostics().lastRejection.sensor, 'meter_power.imported');
+
+      registers.set('meter_power.imported', 1000300);
+      await clock.tick(FAST_TICK);
+      await sinapsi.readData();
+
+      assert.equal(valueOf(payload, 'meter_power.imported'), 1000300);
+    });
+
+    it('rejects power outside the configured range', async (t) => {
+      const { registers, sinapsi } = setup(t, { validation: { power: { max: 10000 } } });
+      registers.set('measure_power', 12000);
+
+      const data = await sinapsi.readData();
+
+      assert.equal(valueOf(data, 'measure_power'), undefined);
+      assert.equal(sinapsi.getDiagnostics().rejectedValues, 1);
+    });
+  });
+
+  describe('uint32 decoding', () => {
+    const cases = [
+      { words: [0x0000, 0x0000], expected: 0 },
+      { words: [0x0000, 0xFFFF], expected: 65535 },
+      { words: [0x0001, 0x0000], expected: 65536 },
+      { words: [0x7FFF, 0xFFFF], expected: 2147483647 },
+      { words: [0x8000, 0x0000], expected: 2147483648 },
+      { words: [0xFFFF, 0xFFFE], expected: 4294967294 }
+    ];
+
+    for (const { words, expected } of cases) {
+      it(`decodes [0x${words.map(w => w.toString(16)).join(', 0x')}] as ${expected}`, async (t) => {
+        const { registers, sinapsi } = setup(t);
+        registers.setRaw(5, words);
+
+        const data = await sinapsi.readData();
+
+        assert.equal(valueOf(data, 'meter_power.imported'), expected);
+      });
+    }
+  });
+
+  describe('alarm_generic sentinel normalization', () => {
+    for (const [label, words] of [['0xFFFFFFFF', [0xFFFF, 0xFFFF]], ['65535', [0x0000, 0xFFFF]]]) {
+      it(`normalizes ${label} to -1`, async (t) => {
+        const { registers, sinapsi } = setup(t);
+        const events = recordEvents(sinapsi);
+        registers.setRaw(780, words);
+
+        const data = await sinapsi.readData();
+
+        assert.equal(valueOf(data, 'alarm_generic'), -1);
+        assert.equal(sinapsi.eventDate, -1);
+        assert.deepEqual(events.filter(e => e.includes('Warning')), []);
+      });
+    }
+
+    it('keeps the event date of an active alarm', async (t) => {
+      const { registers, sinapsi } = setup(t);
+      const eventDate = Math.floor(Date.now() / 1000);
+      registers.set('alarm_generic', eventDate);
+      registers.set('energy_detachment', 60);
+
+      const data = await sinapsi.readData();
+
+      assert.equal(valueOf(data, 'alarm_generic'), eventDate);
+      assert.equal(sinapsi.eventDate, eventDate);
+    });
+  });
+
+  describe('disconnection countdown', () => {
+    it('emits firstDisconnectionWarning once, then disconnectionWarning, then stopWarning', async (t) => {
+      const { clock, registers, sinapsi } = setup(t);
+      const events = recordEvents(sinapsi);
+
+      startAlarm(registers, 120);
+      await sinapsi.readData();
+      await clock.tick(FAST_TICK);
+      await sinapsi.readData();
+      clearAlarm(registers);
+      await clock.tick(FAST_TICK);
+      await sinapsi.readData();
+      await clock.tick(FAST_TICK);
+      await sinapsi.readData();
+
+      assert.deepEqual(events.filter(e => !e.startsWith('connection')), [
+        'disconnectionWarning:120',
+        'firstDisconnectionWarning:120',
+        'disconnectionWarning:115',
+        'stopWarning'
+      ]);
+    });
+
+    it('passes the predicted disconnection time with the warnings', async (t) => {
+      const { clock, registers, sinapsi } = setup(t);
+      const times = [];
+      sinapsi.on('disconnectionWarning', (seconds, time) => times.push(['warning', time]));
+      sinapsi.on('firstDisconnectionWarning', (seconds, time) => times.push(['first', time]));
+
+      startAlarm(registers, 120);
+      await sinapsi.readData();
+
+      const expected = (Math.floor(Date.now() / 1000) + 120) * 1000;
+      assert.deepEqual(times, [['warning', expected], ['first', expected]]);
+      assert.equal(sinapsi.getDisconnectionTime(), expected);
+
+      clearAlarm(registers);
+      await clock.tick(FAST_TICK);
+      await sinapsi.readData();
+      assert.equal(sinapsi.getDisconnectionTime(), null);
+    });
+
+    it('counts down locally while the register is stale', async (t) => {
+      const { clock, registers, sinapsi } = setup(t);
+      const warnings = [];
+      sinapsi.on('disconnectionWarning', seconds => warnings.push(seconds));
+
+      startAlarm(registers, 60);
+      for (let i = 0; i < 4; i++) {
+        await sinapsi.readData();
+        await clock.tick(FAST_TICK);
+      }
+
+      assert.deepEqual(warnings, [60, 55, 50, 45]);
+      assert.equal(sinapsi.countdownStartValue, 60);
+    });
+
+    it('resets the countdown when the register reports less time than calculated', async (t) => {
+      const { clock, registers, sinapsi } = setup(t);
+      const warnings = [];
+      sinapsi.on('disconnectionWarning', seconds => warnings.push(seconds));
+
+      startAlarm(registers, 120);
+      await sinapsi.readData();
+      await clock.tick(FAST_TICK);
+      registers.set('energy_detachment', 100); // Lower than the calculated 115
+      await sinapsi.readData();
+      const resetTime = Math.floor(Date.now() / 1000);
+      await clock.tick(FAST_TICK);
+      await sinapsi.readData(); // Stale 100, calculated 95
+
+      assert.deepEqual(warnings, [120, 100, 95]);
+      assert.equal(sinapsi.countdownStartTime, resetTime);
+      assert.equal(sinapsi.countdownStartValue, 100);
+    });
+
+    it('does not reset the countdown when the register reports more time than calculated', async (t) => {
+      const { clock, registers, sinapsi } = setup(t);
+      const warnings = [];
+      sinapsi.on('disconnectionWarning', seconds => warnings.push(seconds));
+
+      startAlarm(registers, 30);
+      await sinapsi.readData();
+      await clock.tick(FAST_TICK);
+      registers.set('energy_detachment', 40);
+      await sinapsi.readData();
+
+      assert.deepEqual(warnings, [30, 25]);
+    });
+
+    it('never counts below zero', async (t) => {
+      const { clock, registers, sinapsi } = setup(t);
+      const warnings = [];
+      sinapsi.on('disconnectionWarning', seconds => warnings.push(seconds));
+
+      startAlarm(registers, 5);
+      await sinapsi.readData();
+      await clock.tick(3 * FAST_TICK);
+      await sinapsi.readData();
+
+      assert.deepEqual(warnings, [5, 0]);
+    });
+
+    it('starts a fresh countdown for a new alarm after stopWarning', async (t) => {
+      const { clock, registers, sinapsi } = setup(t);
+      const events = recordEvents(sinapsi);
+
+      startAlarm(registers, 120);
+      await sinapsi.readData();
+      clearAlarm(registers);
+      await clock.tick(FAST_TICK);
+      await sinapsi.readData();
+
+      assert.equal(sinapsi.countdownStartTime, null);
+      assert.equal(sinapsi.countdownStartValue, null);
+
+      startAlarm(registers, 90);
+      await clock.tick(FAST_TICK);
+      await sinapsi.readData();
+
+      assert.deepEqual(events.filter(e => !e.startsWith('connection')), [
+        'disconnectionWarning:120',
+        'firstDisconnectionWarning:120',
+        'stopWarning',
+        'disconnectionWarning:90',
+        'firstDisconnectionWarning:90'
+      ]);
+    });
+  });
+
+  describe('supply state', () => {
+    function recordSupply(sinapsi) {
+      const events = [];
+      sinapsi.on('supplyStateChanged', state => events.push(state));
+      sinapsi.on('supplyDisconnected', cause => events.push(`supplyDisconnected:${cause}`));
+      sinapsi.on('supplyRestored', seconds => events.push(`supplyRestored:${seconds}`));
+      return events;
+    }
+
+    it('detects a cut from zero power once the countdown runs out, and the restoration', async (t) => {
+      const { clock, registers, sinapsi } = setup(t);
+      const events = recordSupply(sinapsi);
+      registers.set('measure_power', 4500);
+
+      startAlarm(registers, 15);
+      await sinapsi.readData();
+      assert.deepEqual(events, ['warning']);
+
+      await clock.tick(FAST_TICK);
+      await sinapsi.readData();
+      assert.deepEqual(events, ['warning', 'imminent']);
+
+      // Zero power with 5 s still on the countdown is not the cut
+      registers.set('measure_power', 0);
+      await clock.tick(FAST_TICK);
+      await sinapsi.readData();
+      assert.equal(sinapsi.getSupplyState().state, 'imminent');
+
+      await clock.tick(FAST_TICK);
+      await sinapsi.readData();
+      assert.deepEqual(sinapsi.getSupplyState(), { state: 'disconnected', cause: 'power', disconnectedTime: Date.now() });
+
+      registers.set('measure_power', 800);
+      clearAlarm(registers);
+      await clock.tick(60 * 1000);
+      await sinapsi.readData();
+      assert.deepEqual(events, ['warning', 'imminent', 'disconnected', 'supplyDisconnected:power', 'restored', 'supplyRestored:60']);
+
+      // Back to idle on the next cycle without an alarm
+      await clock.tick(FAST_TICK);
+      await sinapsi.readData();
+      assert.deepEqual(events.slice(6), ['idle']);
+    });
+
+    it('stops the countdown warnings at the cut while the meter keeps its alarm on', async (t) => {
+      const { clock, registers, sinapsi } = setup(t);
+      const warnings = recordEvents(sinapsi);
+      registers.set('measure_power', 4500);
+
+      startAlarm(registers, 5);
+      await sinapsi.readData();
+      registers.set('measure_power', 0);
+      await clock.tick(FAST_TICK);
+      await sinapsi.readData();
+      assert.equal(sinapsi.getSupplyState().state, 'disconnected');
+      const count = warnings.length;
+
+      await clock.tick(FAST_TICK);
+      await sinapsi.readData();
+      assert.equal(warnings.length, count, 'no warning while disconnected');
+
+      registers.set('measure_power', 800);
+      clearAlarm(registers);
+      await clock.tick(FAST_TICK);
+      await sinapsi.readData();
+      assert.deepEqual(warnings.slice(count), ['warningEndedByDisconnection']);
+      assert.equal(sinapsi.getSupplyState().state, 'restored');
+    });
+
+    it('takes an alarm cleared with zero power when the countdown runs out as a cut, not a stop', async (t) => {
+      const { clock, registers, sinapsi } = setup(t);
+      const events = recordSupply(sinapsi);
+      const warnings = recordEvents(sinapsi);
+      registers.set('measure_power', 4500);
+
+      startAlarm(registers, 10);
+      await sinapsi.readData();
+
+      // The meter cuts the supply and clears its alarm: both are seen in the same poll
+      registers.set('measure_power', 0);
+      clearAlarm(registers);
+      await clock.tick(10 * 1000);
+      await sinapsi.readData();
+
+      assert.deepEqual(events, ['warning', 'imminent', 'disconnected', 'supplyDisconnected:power']);
+      assert.equal(warnings.includes('stopWarning'), false);
+      assert.equal(sinapsi.warningTriggered, false);
+
+      // A new alarm after the restoration starts a new episode
+      registers.set('measure_power', 800);
+      await clock.tick(FAST_TICK);
+      await sinapsi.readData();
+      startAlarm(registers, 120);
+      await clock.tick(FAST_TICK);
+      await sinapsi.readData();
+      assert.deepEqual(events.slice(4), ['restored', 'supplyRestored:5', 'warning']);
+      assert.equal(warnings.filter(event => event.startsWith('firstDisconnectionWarning')).length, 2);
+    });
+
+    it('takes a lost link during an imminent disconnection as a cut, restored by the link', async (t) => {
+      const { clock, registers, sinapsi } = setup(t, { reconnect: { baseDelay: 1000, maxDelay: 1000, jitter: 0 } });
+      const events = recordSupply(sinapsi);
+      registers.set('measure_power', 4500);
+
+      startAlarm(registers, 5);
+      await sinapsi.readData();
+      assert.equal(sinapsi.getSupplyState().state, 'imminent');
+
+      const connect = t.mock.method(MockModbusClient.prototype, 'connectTCP', async function () {
+        throw new Error('connect EHOSTUNREACH');
+      });
+      sinapsi.client._socket.destroyed = true;
+      await sinapsi.readData();
+      assert.deepEqual(sinapsi.getSupplyState(), { state: 'disconnected', cause: 'connectionLost', disconnectedTime: Date.now() });
+
+      connect.mock.restore();
+      clearAlarm(registers);
+      await clock.tick(1000);
+      assert.deepEqual(events, ['warning', 'imminent', 'disconnected', 'supplyDisconnected:connectionLost', 'restored', 'supplyRestored:1']);
+    });
+
+    it('goes back to idle when the alarm stops before the countdown runs out', async (t) => {
+      const { clock, registers, sinapsi } = setup(t);
+      const events = recordSupply(sinapsi);
+      registers.set('measure_power', 4500);
+
+      startAlarm(registers, 120);
+      await sinapsi.readData();
+      clearAlarm(registers);
+      await clock.tick(FAST_TICK);
+      await sinapsi.readData();
+
+      assert.deepEqual(events, ['warning', 'idle']);
+    });
+
+    it('does not take zero power as a cut before the disconnection is imminent', async (t) => {
+      const { registers, sinapsi } = setup(t);
+      const events = recordSupply(sinapsi);
+      registers.set('measure_power', 0);
+
+      startAlarm(registers, 120);
+      await sinapsi.readData();
+
+      assert.deepEqual(events, ['warning']);
+    });
+  });
+
+  describe('ensureConnected', () => {
+    it('connects lazily with a fresh client', async (t) => {
+      const { clients, sinapsi } = setup(t);
+
+      assert.equal(await sinapsi.ensureConnected(), true);
+
+      assert.equal(clients.length, 2);
+      assert.equal(sinapsi.client, clients[1]);
+      assert.equal(sinapsi.client.host, '192.168.1.100');
+      assert.equal(sinapsi.client.port, 502);
+      assert.equal(sinapsi.client.id, 1);
+      assert.equal(sinapsi.isConnected, true);
+    });
+
+    it('replaces a client whose socket was destroyed and reports the outage', async (t) => {
+      const { clients, sinapsi } = setup(t);
+      await sinapsi.ensureConnected();
+      const events = recordEvents(sinapsi);
+
+      sinapsi.client._socket.destroyed = true;
+      const data = await sinapsi.readData();
+
+      assert.equal(readSensors(data).length, sinapsi.sensors.length);
+      assert.equal(clients.length, 3);
+      assert.deepEqual(events, ['connectionLost:socket destroyed', 'connectionRestored']);
+    });
+
+    it('handles the errors of a client created on reconnection', async (t) => {
+      const { clients, sinapsi } = setup(t);
+      await sinapsi.ensureConnected();
+      const [first, current] = clients;
+
+      first.emit('error', new Error('stale client'));
+      assert.equal(sinapsi.isConnected, true, 'a replaced client does not affect the connection');
+
+      current.emit('error', new Error('ECONNRESET'));
+      assert.equal(sinapsi.isConnected, false);
+      assert.equal(sinapsi.diagnostics.lastError, 'ECONNRESET');
+      assert.notEqual(sinapsi.nextReconnectTime, null);
+    });
+
+    it('does not report an outage when the client was only closed', async (t) => {
+      const { sinapsi } = setup(t);
+      await sinapsi.ensureConnected();
+      const events = recordEvents(sinapsi);
+
+      sinapsi.client.isOpen = false;
+      assert.equal(await sinapsi.ensureConnected(), true);
+
+      assert.deepEqual(events, []);
+    });
+
+    it('backs off after a failed connection instead of retrying on every read', async (t) => {
+      const { clock, sinapsi } = setup(t, { reconnect: { baseDelay: 1000, maxDelay: 8000, jitter: 0 } });
+      const events = recordEvents(sinapsi);
+      const connect = t.mock.method(MockModbusClient.prototype, 'connectTCP', async function () {
+        this.connectCalls++;
+        throw new Error('connect ECONNREFUSED');
+      });
+
+      assert.deepEqual(await sinapsi.readData(), []);
+      const client = sinapsi.client;
+      assert.equal(sinapsi.reconnectAttempts, 1);
+      assert.equal(sinapsi.nextReconnectTime, Date.now() + 1000);
+
+      assert.deepEqual(await sinapsi.readData(), []);
+      assert.equal(client.connectCalls, 1, 'no connection attempt while a reconnection is pending');
+
+      // Scheduled attempts keep failing: 1 s, 2 s, 4 s, then capped at 8 s
+      const delays = [];
+      for (let i = 0; i < 4; i++) {
+        const delay = sinapsi.nextReconnectTime - Date.now();
+        delays.push(delay);
+        await clock.tick(delay);
+      }
+      assert.deepEqual(delays, [1000, 2000, 4000, 8000]);
+      assert.equal(sinapsi.nextReconnectTime - Date.now(), 8000);
+      assert.deepEqual(events, ['connectionLost:connect ECONNREFUSED']);
+
+      // The device comes back
+      connect.mock.restore();
+      await clock.tick(8000);
+
+      assert.equal(sinapsi.isConnected, true);
+      assert.equal(sinapsi.reconnectAttempts, 0);
+      assert.equal(sinapsi.nextReconnectTime, null);
+      assert.deepEqual(events, ['connectionLost:connect ECONNREFUSED', 'connectionRestored']);
+    });
+
+    it('keeps the reconnection delay within the jitter bounds', (t) => {
+      const { sinapsi } = setup(t, { reconnect: { baseDelay: 1000, maxDelay: 10000, jitter: 0.2 } });
+
+      for (let i = 0; i < 100; i++) {
+        const first = sinapsi._getReconnectDelay(1);
+        const capped = sinapsi._getReconnectDelay(10);
+        assert.ok(first >= 800 && first <= 1200, `first delay ${first}`);
+        assert.ok(capped >= 8000 && capped <= 10000, `capped delay ${capped}`);
+      }
+    });
+  });
+
+  describe('connection settings', () => {
+    it('applies port, unit ID and timeouts to the client', async (t) => {
+      const { sinapsi } = setup(t, { port: 5020, unitId: 3, responseTimeout: 8000, readTimeout: 2000 });
+
+      await sinapsi.ensureConnected();
+
+      assert.equal(sinapsi.client.port, 5020);
+      assert.equal(sinapsi.client.id, 3);
+      assert.equal(sinapsi.client.timeout, 8000);
+    });
+
+    it('uses the configured read timeout', async (t) => {
+      const { clock, sinapsi } = setup(t, { readTimeout: 1000 });
+      sinapsi.client.hangReads = true;
+      let rejected = false;
+
+      sinapsi._readRegisters(2, 1).catch(() => { rejected = true; });
+      await clock.tick(999);
+      assert.equal(rejected, false);
+      await clock.tick(1);
+      assert.equal(rejected, true);
+    });
+
+    it('rejects invalid settings', (t) => {
+      assert.deepEqual(SinapsiConnect.getInvalidConnectionSettings({ port: 502, unitId: 1 }), []);
+      assert.deepEqual(SinapsiConnect.getInvalidConnectionSettings({ port: 0, unitId: 256, responseTimeout: 1.5 }), ['port', 'unitId', 'responseTimeout']);
+      assert.deepEqual(SinapsiConnect.getInvalidConnectionSettings({ responseTimeout: 2000, readTimeout: 3000 }), ['readTimeout']);
+
+      const { sinapsi } = setup(t);
+      assert.throws(() => sinapsi.updateConnectionSettings({ port: 70000 }), /Invalid connection settings: port/);
+      assert.equal(sinapsi.port, 502);
+    });
+
+    it('applies unit ID and timeouts to the open connection', async (t) => {
+      const { clients, sinapsi } = setup(t);
+      await sinapsi.ensureConnected();
+
+      sinapsi.updateConnectionSettings({ unitId: 7, responseTimeout: 2000 });
+
+      assert.equal(clients.length, 2, 'the connection is kept');
+      assert.equal(sinapsi.client.id, 7);
+      assert.equal(sinapsi.client.timeout, 2000);
+    });
+
+    it('reconnects to a new port and cancels the pending backoff', async (t) => {
+      const { sinapsi } = setup(t, { reconnect: { baseDelay: 60000, maxDelay: 60000, jitter: 0 } });
+      await sinapsi.ensureConnected();
+      sinapsi.isConnected = false;
+      sinapsi._scheduleReconnect('test');
+
+      sinapsi.updateConnectionSettings({ port: 5020 });
+
+      assert.equal(sinapsi.reconnectTimeouts.length, 0);
+      assert.equal(sinapsi.reconnectAttempts, 0);
+      assert.equal(await sinapsi.ensureConnected(), true);
+      assert.equal(sinapsi.client.port, 5020);
+    });
+  });
+
+  describe('readRawRegisters', () => {
+    it('reads an arbitrary register range', async (t) => {
+      const { registers, sinapsi } = setup(t);
+      registers.setRaw(1000, [1, 2, 3]);
+      await sinapsi.ensureConnected();
+
+      assert.deepEqual(await sinapsi.readRawRegisters(1000, 3), [1, 2, 3]);
+    });
+
+    it('rejects invalid ranges and disconnected devices', async (t) => {
+      const { sinapsi } = setup(t);
+
+      await assert.rejects(sinapsi.readRawRegisters(2, 1), /Device not connected/);
+      await sinapsi.ensureConnected();
+      await assert.rejects(sinapsi.readRawRegisters(-1, 1), /Invalid register address/);
+      await assert.rejects(sinapsi.readRawRegisters(0, 126), /Invalid register count/);
+      await assert.rejects(sinapsi.readRawRegisters(65535, 2), /Invalid register count/);
+    });
+
+    it('queues requests instead of sending them in parallel', async (t) => {
+      const { clock, sinapsi } = setup(t);
+      await sinapsi.ensureConnected();
+      sinapsi.client.hangReads = true;
+
+      const first = assert.rejects(sinapsi.readRawRegisters(780, 3), /Modbus read timeout/);
+      const polling = sinapsi.readData();
+      await clock.tick(0);
+      assert.deepEqual(sinapsi.client.reads, [[780, 3]]);
+
+      await clock.tick(3000);
+      await first;
+      assert.equal(sinapsi.client.reads.length, 2, 'the next request is sent after the previous one ends');
+
+      sinapsi.client.hangReads = false;
+      await clock.tick(3000);
+      const data = await polling;
+      assert.equal(readSensors(data).length, sinapsi.sensors.length);
+    });
+  });
+
+  describe('stop', () => {
+    it('cancels a pending reconnection', async (t) => {
+      const { clock, sinapsi } = setup(t);
+      sinapsi.isConnected = false;
+      sinapsi._scheduleReconnect('test');
+      assert.equal(clock.pendingTimers(), 1);
+
+      await sinapsi.stop();
+
+      assert.equal(clock.pendingTimers(), 0);
+      sinapsi._scheduleReconnect('after stop');
+      assert.equal(clock.pendingTimers(), 0);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TaskScheduler, SchedulerError } = require('../lib/TaskScheduler');
+const { FakeClock, createFakeHomey, flushPromises } = require('./helpers/FakeHomey');
+
+const INTERVAL = 10000;
+
+function setup(t, task) {
+  const clock = new FakeClock();
+  const homey = createFakeHomey(clock);
+
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  const scheduler = new TaskScheduler(homey, task, INTERVAL);
+  t.after(() => scheduler.stop());
+
+  return { clock, scheduler };
+}
+
+describe('TaskScheduler', () => {
+  it('requires a function', () => {
+    assert.throws(() => new TaskScheduler(createFakeHomey(new FakeClock()), null), /must be a function/);
+  });
+
+  it('runs the task immediately, then once per interval after each completion', async (t) => {
+    let runs = 0;
+    const { clock, scheduler } = setup(t, async () => { runs++; });
+
+    scheduler.start();
+    await flushPromises();
+    assert.equal(runs, 1);
+
+    await clock.tick(INTERVAL - 1);
+    assert.equal(runs, 1);
+    await clock.tick(1);
+    assert.equal(runs, 2);
+    await clock.tick(3 * INTERVAL);
+    assert.equal(runs, 5);
+  });
+
+  it('emits taskCompleted with the task result', async (t) => {
+    const { scheduler } = setup(t, async () => 42);
+    const results = [];
+    scheduler.on('taskCompleted', result => results.push(result));
+
+    scheduler.start();
+    await flushPromises();
+
+    assert.deepEqual(results, [42]);
+  });
+
+  it('stops when the task is still running after 3 iterations', async (t) => {
+    const { scheduler } = setup(t, () => new Promise(() => {})); // Never settles
+
+    scheduler.start();
+    assert.equal(scheduler.isRunning, true);
+
+    await scheduler._executeTask();
+    await scheduler._executeTask();
+    assert.equal(scheduler.isScheduled, true);
+    assert.equal(scheduler.consecutiveErrors, 2);
+
+    await scheduler._executeTask();
+    assert.equal(scheduler.isScheduled, false);
+    assert.equal(scheduler.isRunning, false);
+    assert.equal(scheduler.consecutiveErrors, 0);
+  });
+
+  it('emits taskError after 3 consecutive failures and keeps running', async (t) => {
+    const failure = new Error('read failed');
+    const { clock, scheduler } = setup(t, async () => { throw failure; });
+    const errors = [];
+    scheduler.on('taskError', error => errors.push(error));
+
+    scheduler.start();
+    await flushPromises();
+    await clock.tick(INTERVAL);
+    assert.deepEqual(errors, []);
+
+    await clock.tick(INTERVAL);
+    assert.deepEqual(errors, [failure]);
+    assert.equal(scheduler.isScheduled, true);
+  });
+
+  it('resets the error count after a successful run', async (t) => {
+    let fail = true;
+    const { clock, scheduler } = setup(t, async () => {
+      if (fail) throw new Error('read failed');
+    });
+
+    scheduler.start();
+    await flushPromises();
+    await clock.tick(INTERVAL);
+    assert.equal(scheduler.consecutiveErrors, 2);
+
+    fail = false;
+    await clock.tick(INTERVAL);
+    assert.equal(scheduler.consecutiveErrors, 0);
+  });
+
+  it('cancels the pending run on stop', async (t) => {
+    let runs = 0;
+    const { clock, scheduler } = setup(t, async () => { runs++; });
+
+    scheduler.start();
+    await flushPromises();
+    scheduler.stop();
+    await clock.tick(3 * INTERVAL);
+
+    assert.equal(runs, 1);
+    assert.equal(clock.pendingTimers(), 0);
+  });
+
+  it('restarts with the new interval', async (t) => {
+    let runs = 0;
+    const { clock, scheduler } = setup(t, async () => { runs++; });
+
+    scheduler.start();
+    await flushPromises();
+    scheduler.setInterval(2000);
+    await flushPromises();
+    assert.equal(runs, 2);
+
+    await clock.tick(2000);
+    assert.equal(runs, 3);
+  });
+
+  it('rejects an invalid interval', (t) => {
+    const { scheduler } = setup(t, async () => {});
+
+    assert.throws(() => scheduler.setInterval(0), error => {
+      assert.ok(error instanceof SchedulerError);
+      assert.equal(error.code, 'ERROR_SET_INTERVAL');
+      return true;
+    });
+  });
+});
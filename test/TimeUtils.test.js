@@ -0,0 +1,42 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getDayKey, getHourKey, getMonthKey, formatTime, formatIsoDateTime, formatDateTime, getQuarterHourStart } = require('../lib/TimeUtils');
+
+const ROME = 'Europe/Rome';
+
+describe('TimeUtils', () => {
+  it('returns the day, month and time in the given timezone', () => {
+    const time = Date.UTC(2025, 0, 31, 23, 30); // 00:30 on February 1st in Rome
+
+    assert.equal(getDayKey(time, ROME), '2025-02-01');
+    assert.equal(getHourKey(time, ROME), '2025-02-01T00');
+    assert.equal(getMonthKey(time, ROME), '2025-02');
+    assert.equal(formatTime(time, ROME), '00:30');
+    assert.equal(getDayKey(time, 'UTC'), '2025-01-31');
+  });
+
+  it('follows daylight saving time', () => {
+    assert.equal(formatTime(Date.UTC(2025, 6, 15, 10, 0), ROME), '12:00');
+    assert.equal(formatTime(Date.UTC(2025, 0, 15, 10, 0), ROME), '11:00');
+  });
+
+  it('formats ISO date and time with the offset of the timezone', () => {
+    assert.equal(formatIsoDateTime(Date.UTC(2025, 0, 15, 23, 30, 5), ROME), '2025-01-16T00:30:05+01:00');
+    assert.equal(formatIsoDateTime(Date.UTC(2025, 6, 15, 10, 0), ROME), '2025-07-15T12:00:00+02:00');
+    assert.equal(formatIsoDateTime(Date.UTC(2025, 6, 15, 10, 0), 'America/New_York'), '2025-07-15T06:00:00-04:00');
+    assert.equal(formatIsoDateTime(Date.UTC(2025, 6, 15, 10, 0), 'UTC'), '2025-07-15T10:00:00+00:00');
+  });
+
+  it('formats date and time in the format of a language', () => {
+    assert.equal(formatDateTime(Date.UTC(2025, 0, 15, 23, 30), ROME, 'it'), '16/01/25, 00:30:00');
+    assert.equal(formatDateTime(Date.UTC(2025, 0, 15, 23, 30), 'UTC', 'en-GB'), '15/01/2025, 23:30:00');
+  });
+
+  it('rounds down to the start of the quarter-hour', () => {
+    assert.equal(getQuarterHourStart(Date.UTC(2025, 0, 15, 10, 14, 59)), Date.UTC(2025, 0, 15, 10, 0));
+    assert.equal(getQuarterHourStart(Date.UTC(2025, 0, 15, 10, 15)), Date.UTC(2025, 0, 15, 10, 15));
+  });
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ValueValidator = require('../lib/ValueValidator');
+
+const RULES = {
+  power: { min: 0, max: 30000 },
+  counter: { tolerance: 10, maxPower: 30000, margin: 100 }
+};
+const COUNTER = { id: 'meter_power.imported', check: 'counter' };
+const POWER = { id: 'measure_power', check: 'power' };
+const MINUTE = 60 * 1000;
+
+describe('ValueValidator', () => {
+  describe('power', () => {
+    it('accepts values within the range and rejects the others', () => {
+      const validator = new ValueValidator(RULES);
+
+      assert.equal(validator.check(POWER, 0, 0).accepted, true);
+      assert.equal(validator.check(POWER, 30000, 0).accepted, true);
+      assert.equal(validator.check(POWER, 30001, 0).accepted, false);
+      assert.equal(validator.check(POWER, -1, 0).accepted, false);
+    });
+
+    it('rejects non-finite values of every sensor', () => {
+      const validator = new ValueValidator(RULES);
+
+      assert.equal(validator.check({ id: 'pre_med' }, NaN, 0).accepted, false);
+      assert.equal(validator.check({ id: 'pre_med' }, 12, 0).accepted, true);
+    });
+  });
+
+  describe('counter', () => {
+    it('accepts plausible increases', () => {
+      const validator = new ValueValidator(RULES);
+
+      assert.deepEqual(validator.check(COUNTER, 1000000, 0), { accepted: true, value: 1000000, reason: null });
+      // 30 kW for one minute is 500 Wh, + 100 Wh margin
+      assert.equal(validator.check(COUNTER, 1000600, MINUTE).accepted, true);
+    });
+
+    it('keeps the last value on a decrease within the tolerance', () => {
+      const validator = new ValueValidator(RULES);
+      validator.check(COUNTER, 1000000, 0);
+
+      assert.deepEqual(validator.check(COUNTER, 999995, MINUTE), { accepted: true, value: 1000000, reason: null });
+      assert.equal(validator.check(COUNTER, 1000001, 2 * MINUTE).value, 1000001);
+    });
+
+    it('rejects a single garbled read (half-updated uint32)', () => {
+      const validator = new ValueValidator(RULES);
+      validator.check(COUNTER, 1000000, 0);
+
+      const garbled = validator.check(COUNTER, 1000000 + 65536, MINUTE);
+      assert.equal(garbled.accepted, false);
+      assert.match(garbled.reason, /jump of \+65536 Wh in 60s/);
+
+      assert.deepEqual(validator.check(COUNTER, 1000200, 2 * MINUTE), { accepted: true, value: 1000200, reason: null });
+    });
+
+    it('rejects a zero read once and accepts it when the next read confirms it (meter reset)', () => {
+      const validator = new ValueValidator(RULES);
+      validator.check(COUNTER, 1000000, 0);
+
+      const reset = validator.check(COUNTER, 0, MINUTE);
+      assert.equal(reset.accepted, false);
+      assert.match(reset.reason, /decrease/);
+
+      const confirmed = validator.check(COUNTER, 5, 2 * MINUTE);
+      assert.equal(confirmed.accepted, true);
+      assert.equal(confirmed.value, 5);
+      assert.match(confirmed.reason, /confirmed/);
+
+      assert.equal(validator.check(COUNTER, 50, 3 * MINUTE).accepted, true);
+    });
+
+    it('keeps rejecting values that never settle', () => {
+      const validator = new ValueValidator(RULES);
+      validator.check(COUNTER, 1000000, 0);
+
+      assert.equal(validator.check(COUNTER, 5000000, MINUTE).accepted, false);
+      assert.equal(validator.check(COUNTER, 9000000, 2 * MINUTE).accepted, false);
+      assert.equal(validator.check(COUNTER, 1000100, 3 * MINUTE).accepted, true);
+    });
+
+    it('forgets the history on reset', () => {
+      const validator = new ValueValidator(RULES);
+      validator.check(COUNTER, 1000000, 0);
+      validator.reset(COUNTER.id);
+
+      assert.equal(validator.check(COUNTER, 0, MINUTE).accepted, true);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+'use strict';
+
+/**
+ * Controllable clock for tests: timers only fire when the clock is advanced with tick().
+ * install() makes Date.now() follow the fake time as well.
+ *
+ * @example
+ * const clock = new FakeClock();
+ * clock.install();
+ * const homey = createFakeHomey(clock);
+ * homey.setTimeout(() => console.log('fired'), 1000);
+ * await clock.tick(1000); // => fired
+ * clock.uninstall();
+ */
+class FakeClock {
+  /**
+   * @param {number} [now] - Initial time in milliseconds
+   */
+  constructor(now = Date.UTC(2025, 0, 15, 12, 0, 0)) {
+    this.now = now;
+    this.timers = new Map(); // id -> { callback, time, interval }
+    this.nextId = 1;
+    this.originalDateNow = null;
+  }
+
+  install() {
+    this.originalDateNow = Date.now;
+    Date.now = () => this.now;
+  }
+
+  uninstall() {
+    if (this.originalDateNow) {
+      Date.now = this.originalDateNow;
+      this.originalDateNow = null;
+    }
+  }
+
+  setTimeout(callback, ms = 0) {
+    const id = this.nextId++;
+    this.timers.set(id, { callback, time: this.now + ms, interval: null });
+    return id;
+  }
+
+  setInterval(callback, ms) {
+    const id = this.nextId++;
+    this.timers.set(id, { callback, time: this.now + ms, interval: ms });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+
+  clearInterval(id) {
+    this.timers.delete(id);
+  }
+
+  /**
+   * Number of pending timers
+   * @returns {number}
+   */
+  pendingTimers() {
+    return this.timers.size;
+  }
+
+  /**
+   * Advances the clock, firing due timers in order and letting their promises settle
+   * @param {number} ms - Milliseconds to advance
+   */
+  async tick(ms) {
+    const target = this.now + ms;
+
+    for (;;) {
+      await flushPromises(); // Timers may be set by promise callbacks that are still pending
+      let nextId = null;
+      let next = null;
+      for (const [id, timer] of this.timers) {
+        if (timer.time <= target && (!next || timer.time < next.time)) {
+          nextId = id;
+          next = timer;
+        }
+      }
+      if (!next) break;
+
+      this.now = next.time;
+      if (next.interval) {
+        next.time += next.interval;
+      } else {
+        this.timers.delete(nextId);
+      }
+      next.callback();
+    }
+
+    this.now = target;
+  }
+}
+
+/**
+ * Lets pending promise callbacks run (mock I/O resolves in microtasks)
+ */
+function flushPromises() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Creates the subset of the Homey API used by lib/, driven by a FakeClock
+ * @param {FakeClock} clock - The clock
+ * @returns {Object} - A fake homey instance
+ */
+function createFakeHomey(clock) {
+  const settings = new Map();
+
+  return {
+    setTimeout: clock.setTimeout.bind(clock),
+    clearTimeout: clock.clearTimeout.bind(clock),
+    setInterval: clock.setInterval.bind(clock),
+    clearInterval: clock.clearInterval.bind(clock),
+    settings: {
+      get: key => settings.has(key) ? settings.get(key) : null,
+      set: (key, value) => settings.set(key, value),
+      unset: key => settings.delete(key)
+    },
+    __: key => key
+  };
+}
+
+module.exports = {
+  FakeClock,
+  createFakeHomey,
+  flushPromises
+};
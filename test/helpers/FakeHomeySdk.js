@@ -0,0 +1,153 @@
+'use strict';
+
+const EventEmitter = require('events');
+const Module = require('module');
+const path = require('path');
+
+const { createFakeHomey } = require('./FakeHomey');
+
+/**
+ * Stand-ins for the Homey SDK classes (the `homey` module is provided by the Homey runtime, it is not
+ * installed in development), with the methods used by the drivers and devices under test.
+ */
+class SimpleClass extends EventEmitter {
+  log() {}
+
+  error() {}
+}
+
+class Driver extends SimpleClass {
+  /**
+   * @param {Object} homey - The fake homey instance (see createFakeSdkHomey)
+   */
+  constructor(homey) {
+    super();
+    this.homey = homey;
+    this.devices = [];
+  }
+
+  getDevices() {
+    return this.devices;
+  }
+}
+
+class Device extends SimpleClass {
+  /**
+   * @param {Object} options
+   * @param {Object} options.homey - The fake homey instance (see createFakeSdkHomey)
+   * @param {Driver} options.driver - The driver of the device
+   * @param {Object} options.data - Device data (pairing)
+   * @param {Object} [options.settings] - Device settings
+   * @param {Array<string>} [options.capabilities] - Device capabilities
+   */
+  constructor({ homey, driver, data, settings = {}, capabilities = [] }) {
+    super();
+    this.homey = homey;
+    this.driver = driver;
+    this.data = data;
+    this.settings = { ...settings };
+    this.store = {};
+    this.capabilities = new Map(capabilities.map(capability => [capability, null]));
+    this.available = true;
+    this.unavailableMessage = null;
+  }
+
+  getData() {
+    return this.data;
+  }
+
+  getName() {
+    return this.data.id;
+  }
+
+  getSettings() {
+    return this.settings;
+  }
+
+  getSetting(key) {
+    return this.settings[key];
+  }
+
+  getStoreValue(key) {
+    return this.store[key] !== undefined ? this.store[key] : null;
+  }
+
+  async setStoreValue(key, value) {
+    this.store[key] = value;
+  }
+
+  hasCapability(capability) {
+    return this.capabilities.has(capability);
+  }
+
+  getCapabilityValue(capability) {
+    return this.capabilities.has(capability) ? this.capabilities.get(capability) : null;
+  }
+
+  async setCapabilityValue(capability, value) {
+    if (!this.capabilities.has(capability)) {
+      throw new Error(`Invalid capability: ${capability}`);
+    }
+    this.capabilities.set(capability, value);
+  }
+
+  getAvailable() {
+    return this.available;
+  }
+
+  async setAvailable() {
+    this.available = true;
+    this.unavailableMessage = null;
+  }
+
+  async setUnavailable(message) {
+    this.available = false;
+    this.unavailableMessage = message;
+  }
+}
+
+const FakeSdk = { SimpleClass, Driver, Device };
+
+/**
+ * Creates a fake homey instance with the managers used by the drivers (flow cards accept any listener)
+ * @param {FakeClock} clock - The clock
+ * @returns {Object}
+ */
+function createFakeSdkHomey(clock) {
+  const card = { registerRunListener() { return card; }, trigger: async () => {} };
+
+  return {
+    ...createFakeHomey(clock),
+    flow: {
+      getDeviceTriggerCard: () => card,
+      getConditionCard: () => card,
+      getActionCard: () => card
+    },
+    clock: {
+      getTimezone: () => 'Europe/Rome'
+    }
+  };
+}
+
+/**
+ * Requires a driver or device module of the app, resolving `homey` to the fake SDK
+ * @param {string} file - Path of the module, relative to the app root
+ * @returns {*} - The exports of the module
+ */
+function requireWithFakeSdk(file) {
+  const originalLoad = Module._load;
+  Module._load = function (request, ...args) {
+    return request === 'homey' ? FakeSdk : originalLoad.call(this, request, ...args);
+  };
+  try {
+    return require(path.join(__dirname, '..', '..', file));
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+module.exports = {
+  ...FakeSdk,
+  createFakeSdkHomey,
+  requireWithFakeSdk
+};
@@ -0,0 +1,130 @@
+'use strict';
+
+const EventEmitter = require('events');
+const config = require('../../lib/config/config');
+const { RegisterDecoder } = require('../../lib/RegisterDecoder');
+
+/**
+ * Register map shared by the mock clients of a test: SinapsiConnect replaces its client
+ * on reconnection, the registers must survive it.
+ */
+class MockRegisters {
+  constructor() {
+    this.words = new Map(); // address -> word
+  }
+
+  /**
+   * Sets a sensor value, encoded as described by config.sensors
+   * @param {string} id - The sensor id
+   * @param {number} value - The value
+   */
+  set(id, value) {
+    const sensor = config.sensors.find(s => s.id === id);
+    if (!sensor) {
+      throw new Error(`Unknown sensor: ${id}`);
+    }
+    this.setRaw(sensor.address, RegisterDecoder.encode(value, sensor));
+  }
+
+  /**
+   * Sets raw register words
+   * @param {number} address - The first register address
+   * @param {Array<number>} words - The words
+   */
+  setRaw(address, words) {
+    words.forEach((word, index) => this.words.set(address + index, word));
+  }
+
+  read(address, count) {
+    const data = [];
+    for (let i = 0; i < count; i++) {
+      data.push(this.words.get(address + i) || 0);
+    }
+    return data;
+  }
+}
+
+class MockSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.destroyed = false;
+  }
+
+  setKeepAlive() {}
+
+  end() {}
+
+  destroy() {
+    this.destroyed = true;
+    this.emit('close');
+  }
+}
+
+/**
+ * Stand-in for the ModbusRTU client, with the methods used by SinapsiConnect.
+ *
+ * Behaviour is driven by plain fields:
+ * - connectError: Error thrown by connectTCP
+ * - readError: Error thrown by readHoldingRegisters (or a function (address, count) => Error|null)
+ * - hangReads: readHoldingRegisters never settles (to exercise the read timeout)
+ */
+class MockModbusClient extends EventEmitter {
+  /**
+   * @param {MockRegisters} registers - The register map to serve
+   */
+  constructor(registers) {
+    super();
+    this.registers = registers;
+    this.isOpen = false;
+    this._socket = null;
+    this.id = null;
+    this.timeout = null;
+    this.connectError = null;
+    this.readError = null;
+    this.hangReads = false;
+    this.connectCalls = 0;
+    this.reads = []; // [address, count] of every request
+  }
+
+  async connectTCP(host, options) {
+    this.connectCalls++;
+    this.host = host;
+    this.port = options && options.port;
+    if (this.connectError) {
+      throw this.connectError;
+    }
+    this.isOpen = true;
+    this._socket = new MockSocket();
+  }
+
+  setID(id) {
+    this.id = id;
+  }
+
+  setTimeout(ms) {
+    this.timeout = ms;
+  }
+
+  readHoldingRegisters(address, count) {
+    this.reads.push([address, count]);
+    if (this.hangReads) {
+      return new Promise(() => {});
+    }
+    const error = typeof this.readError === 'function' ? this.readError(address, count) : this.readError;
+    if (error) {
+      return Promise.reject(error);
+    }
+    return Promise.resolve({ data: this.registers.read(address, count) });
+  }
+
+  close(callback) {
+    this.isOpen = false;
+    if (callback) callback();
+  }
+}
+
+module.exports = {
+  MockModbusClient,
+  MockRegisters,
+  MockSocket
+};
@@ -0,0 +1,265 @@
+'use strict';
+
+const EventEmitter = require('events');
+const ModbusRTU = require('modbus-serial');
+const config = require('../../lib/config/config');
+const { RegisterDecoder } = require('../../lib/RegisterDecoder');
+
+/**
+ * Alarm sentinel values written by the Alfa when no disconnection is pending
+ */
+const ALARM_INACTIVE = 4294967295;
+const COUNTDOWN_INACTIVE = 0;
+
+/**
+ * AlfaSimulator - Modbus TCP server serving the Alfa register map of lib/config/config.js.
+ *
+ * Values are set by sensor id and encoded with RegisterDecoder, so the simulator follows
+ * every change of the register map. Registers not in the map read as 0.
+ * Fault injection (slow responses, exception replies, dropped sockets) is available
+ * to exercise the reconnection and fallback paths of SinapsiConnect.
+ *
+ * @example
+ * const simulator = new AlfaSimulator({ port: 5020 });
+ * await simulator.start();
+ * simulator.set('measure_power', 2500);
+ * simulator.startAlarm(120);
+ */
+class AlfaSimulator extends EventEmitter {
+  /**
+   * @param {Object} [options={}]
+   * @param {string} [options.host='127.0.0.1'] - Listening address
+   * @param {number} [options.port=5020] - Listening port (502 needs root privileges)
+   * @param {number} [options.unitId=255] - Modbus unit id to answer to (255 = any)
+   * @param {Array<Object>} [options.sensors=config.sensors] - Register map
+   * @param {number} [options.countdownStep=1] - Refresh period (s) of the countdown register, to mimic a slow Alfa
+   * @param {boolean} [options.showLog=false] - Whether to show log messages
+   */
+  constructor(options = {}) {
+    super();
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 5020;
+    this.unitId = options.unitId !== undefined ? options.unitId : 255;
+    this.sensors = options.sensors || config.sensors;
+    this.countdownStep = options.countdownStep || 1;
+    this.showLog = !!options.showLog;
+
+    this.server = null;
+    this.registers = new Map(); // address -> word
+    this.values = new Map(); // sensor id -> value
+
+    // Fault injection
+    this.responseDelay = 0;
+    this.pendingExceptions = 0;
+    this.exceptionCode = 0x04; // Slave device failure
+
+    // Disconnection alarm state
+    this.alarm = null;
+
+    this.requestCount = 0;
+
+    this.reset();
+  }
+
+  _log(...args) {
+    if (this.showLog) {
+      console.log(`[${new Date().toISOString()}] [ALFA-SIMULATOR] ${args.join(' ')}`);
+    }
+  }
+
+  /**
+   * Restores plausible idle values: no alarm, tariff band F1, some energy on the counters
+   */
+  reset() {
+    this.registers.clear();
+    this.values.clear();
+    this.alarm = null;
+
+    for (const sensor of this.sensors) {
+      this.set(sensor.id, 0);
+    }
+    this.set('energy_phase', 1);
+    this.set('meter_power.imported', 1250000);
+    this.set('meter_power.exported', 340000);
+    this.set('alarm_generic', ALARM_INACTIVE);
+    this.set('energy_detachment', COUNTDOWN_INACTIVE);
+  }
+
+  /**
+   * Sets the value of a sensor (in the unit of the register map, e.g. W or Wh)
+   * @param {string} id - The sensor id
+   * @param {number} value - The value
+   */
+  set(id, value) {
+    const sensor = this.sensors.find(s => s.id === id);
+    if (!sensor) {
+      throw new Error(`Unknown sensor: ${id}`);
+    }
+
+    RegisterDecoder.encode(value, sensor).forEach((word, index) => {
+      this.registers.set(sensor.address + index, word);
+    });
+    this.values.set(id, value);
+  }
+
+  /**
+   * Returns the value of a sensor
+   * @param {string} id - The sensor id
+   * @returns {number|undefined} - The value
+   */
+  get(id) {
+    return this.values.get(id);
+  }
+
+  /**
+   * Sets raw register words, bypassing the register map (e.g. to simulate garbled data)
+   * @param {number} address - The first register address
+   * @param {Array<number>} words - The words to write
+   */
+  setRaw(address, words) {
+    words.forEach((word, index) => this.registers.set(address + index, word & 0xFFFF));
+  }
+
+  /**
+   * Raises a disconnection alarm: register 780 gets the event date, register 782 counts down
+   * @param {number} countdown - Seconds to disconnection
+   * @param {number} [eventDate] - Unix timestamp (s) of the event, defaults to now
+   */
+  startAlarm(countdown, eventDate = Math.floor(Date.now() / 1000)) {
+    this.alarm = { countdown, eventDate, startTime: Date.now() };
+    this.set('alarm_generic', eventDate);
+    this._refreshCountdown();
+    this._log(`Alarm started: ${countdown}s to disconnection`);
+    this.emit('alarmStarted', countdown);
+  }
+
+  /**
+   * Clears the disconnection alarm (both registers back to the inactive sentinels)
+   */
+  clearAlarm() {
+    this.alarm = null;
+    this.set('alarm_generic', ALARM_INACTIVE);
+    this.set('energy_detachment', COUNTDOWN_INACTIVE);
+    this._log('Alarm cleared');
+    this.emit('alarmCleared');
+  }
+
+  /**
+   * Updates the countdown register, in steps of countdownStep seconds
+   */
+  _refreshCountdown() {
+    if (!this.alarm) return;
+
+    const elapsed = Math.floor((Date.now() - this.alarm.startTime) / 1000 / this.countdownStep) * this.countdownStep;
+    this.set('energy_detachment', Math.max(0, this.alarm.countdown - elapsed));
+  }
+
+  /**
+   * Delays every response (simulates a congested network or a busy Alfa)
+   * @param {number} ms - Delay in milliseconds (0 to disable)
+   */
+  setResponseDelay(ms) {
+    this.responseDelay = ms;
+  }
+
+  /**
+   * Answers the next requests with a Modbus exception
+   * @param {number} count - Number of requests to fail
+   * @param {number} [code=0x04] - Exception code (0x02 illegal address, 0x04 slave device failure, ...)
+   */
+  failNextRequests(count, code = 0x04) {
+    this.pendingExceptions = count;
+    this.exceptionCode = code;
+  }
+
+  /**
+   * Destroys all client sockets, as a router reboot or an Alfa restart would
+   */
+  dropConnections() {
+    if (!this.server) return;
+
+    this.server.socks.forEach((_, sock) => sock.destroy());
+    this._log('All client sockets dropped');
+    this.emit('connectionsDropped');
+  }
+
+  /**
+   * Number of connected clients
+   * @returns {number}
+   */
+  getClientCount() {
+    return this.server ? this.server.socks.size : 0;
+  }
+
+  /**
+   * Serves a holding register read request
+   */
+  _readRegisters(address, length, callback) {
+    this.requestCount++;
+
+    const respond = () => {
+      if (this.pendingExceptions > 0) {
+        this.pendingExceptions--;
+        this._log(`Exception 0x${this.exceptionCode.toString(16)} for ${address} (${length})`);
+        callback({ modbusErrorCode: this.exceptionCode, msg: 'Simulated exception' });
+        return;
+      }
+
+      this._refreshCountdown();
+      const words = [];
+      for (let i = 0; i < length; i++) {
+        words.push(this.registers.get(address + i) || 0);
+      }
+      this._log(`Read ${address} (${length}): ${words.join(',')}`);
+      callback(null, words);
+    };
+
+    if (this.responseDelay > 0) {
+      setTimeout(respond, this.responseDelay);
+    } else {
+      respond();
+    }
+  }
+
+  /**
+   * Starts the Modbus TCP server
+   * @returns {Promise<void>} Resolves when the server is listening
+   */
+  start() {
+    const vector = {
+      getHoldingRegister: (address, unitId, callback) => {
+        this._readRegisters(address, 1, (err, words) => callback(err, words && words[0]));
+      },
+      getMultipleHoldingRegisters: (address, length, unitId, callback) => {
+        this._readRegisters(address, length, callback);
+      }
+    };
+
+    return new Promise((resolve, reject) => {
+      this.server = new ModbusRTU.ServerTCP(vector, { host: this.host, port: this.port, unitID: this.unitId });
+      this.server.on('initialized', () => {
+        this._log(`Listening on ${this.host}:${this.port}`);
+        resolve();
+      });
+      this.server.on('serverError', reject);
+      this.server.on('socketError', err => this._log(`Socket error: ${err.message}`));
+    });
+  }
+
+  /**
+   * Stops the Modbus TCP server and drops all clients
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    const server = this.server;
+    this.server = null;
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+}
+
+AlfaSimulator.ALARM_INACTIVE = ALARM_INACTIVE;
+AlfaSimulator.COUNTDOWN_INACTIVE = COUNTDOWN_INACTIVE;
+
+module.exports = AlfaSimulator;
\ No newline at end of file
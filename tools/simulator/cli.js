@@ -0,0 +1,68 @@
+'use strict';
+
+/**
+ * Starts the Alfa simulator from the command line.
+ *
+ * Usage:
+ *   node tools/simulator/cli.js [--port 5020] [--host 127.0.0.1] [--scenario idle,tariffBands] [--quiet]
+ *
+ * Then point SinapsiConnect (options.port) or an Alfa device at the host running the simulator.
+ * Use --port 502 --host 0.0.0.0 to serve a Homey on the LAN with the default Modbus port.
+ */
+
+const AlfaSimulator = require('./AlfaSimulator');
+const scenarios = require('./scenarios');
+
+function parseArgs(argv) {
+  const args = { port: 5020, host: '127.0.0.1', scenario: 'idle', quiet: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--port':
+        args.port = parseInt(argv[++i], 10);
+        break;
+      case '--host':
+        args.host = argv[++i];
+        break;
+      case '--scenario':
+        args.scenario = argv[++i];
+        break;
+      case '--quiet':
+        args.quiet = true;
+        break;
+      default:
+        console.error(`Unknown argument: ${argv[i]}`);
+        process.exit(1);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const names = args.scenario.split(',');
+
+  const unknown = names.filter(name => !scenarios[name]);
+  if (unknown.length > 0) {
+    console.error(`Unknown scenario(s): ${unknown.join(', ')}. Available: ${Object.keys(scenarios).join(', ')}`);
+    process.exit(1);
+  }
+
+  const simulator = new AlfaSimulator({ host: args.host, port: args.port, showLog: !args.quiet });
+  await simulator.start();
+  console.log(`Alfa simulator listening on ${args.host}:${args.port} - scenario(s): ${names.join(', ')}`);
+
+  const stops = names.map(name => scenarios[name](simulator));
+
+  const shutdown = async () => {
+    stops.forEach(stop => stop());
+    await simulator.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch(err => {
+  console.error('Simulator error:', err);
+  process.exit(1);
+});
\ No newline at end of file
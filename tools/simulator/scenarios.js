@@ -0,0 +1,132 @@
+'use strict';
+
+/**
+ * Scripted scenarios for AlfaSimulator.
+ * Each scenario receives a running simulator and returns a function that stops it.
+ */
+
+/**
+ * Runs a step function every interval, returns the stop function
+ */
+function every(interval, step) {
+  const timer = setInterval(step, interval);
+  return () => clearInterval(timer);
+}
+
+const scenarios = {
+  /**
+   * Steady consumption with small random variations
+   */
+  idle(simulator) {
+    simulator.set('measure_power', 450);
+    return every(5000, () => {
+      simulator.set('measure_power', 400 + Math.round(Math.random() * 100));
+    });
+  },
+
+  /**
+   * Imported power rising by 250 W every 5 s up to 6 kW, then back to 500 W.
+   * Energy counters and quarter-hour averages follow the power.
+   */
+  risingPower(simulator) {
+    let power = 500;
+    return every(5000, () => {
+      power = power >= 6000 ? 500 : power + 250;
+      simulator.set('measure_power', power);
+      simulator.set('measure_power.quarter_imported', power);
+      simulator.set('meter_power.imported', simulator.get('meter_power.imported') + Math.round(power * 5 / 3600));
+    });
+  },
+
+  /**
+   * PV production: production and export follow a bell curve, import drops accordingly
+   */
+  solar(simulator) {
+    const load = 800;
+    let t = 0;
+    return every(5000, () => {
+      t = (t + 1) % 120;
+      const production = Math.round(3000 * Math.sin(Math.PI * t / 120));
+      const imported = Math.max(0, load - production);
+      const exported = Math.max(0, production - load);
+      simulator.set('measure_power.produced', production);
+      simulator.set('measure_power', imported);
+      simulator.set('measure_power.exported', exported);
+      simulator.set('pro_tot', simulator.get('pro_tot') + Math.round(production * 5 / 3600));
+      simulator.set('meter_power.imported', simulator.get('meter_power.imported') + Math.round(imported * 5 / 3600));
+      simulator.set('meter_power.exported', simulator.get('meter_power.exported') + Math.round(exported * 5 / 3600));
+    });
+  },
+
+  /**
+   * Tariff band cycling F1 -> F2 -> F3 every 30 s
+   */
+  tariffBands(simulator) {
+    let band = 1;
+    simulator.set('energy_phase', band);
+    return every(30000, () => {
+      band = band >= 3 ? 1 : band + 1;
+      simulator.set('energy_phase', band);
+    });
+  },
+
+  /**
+   * Overload: power above the contractual limit raises a disconnection alarm with a 120 s countdown.
+   * The alarm is cleared after 60 s (load reduced), then raised again after 60 s.
+   */
+  disconnectionAlarm(simulator) {
+    let phase = 0;
+    const step = () => {
+      if (phase === 0) {
+        simulator.set('measure_power', 4200);
+        simulator.startAlarm(120);
+      } else {
+        simulator.set('measure_power', 1500);
+        simulator.clearAlarm();
+      }
+      phase = 1 - phase;
+    };
+    step();
+    return every(60000, step);
+  },
+
+  /**
+   * Countdown running to zero, then the power drops to 0 (meter disconnected)
+   */
+  disconnection(simulator) {
+    simulator.set('measure_power', 4500);
+    simulator.startAlarm(30);
+    const timer = setTimeout(() => {
+      simulator.set('measure_power', 0);
+      simulator.clearAlarm();
+    }, 32000);
+    return () => clearTimeout(timer);
+  },
+
+  /**
+   * All client sockets dropped every 45 s
+   */
+  droppedSockets(simulator) {
+    return every(45000, () => simulator.dropConnections());
+  },
+
+  /**
+   * Responses delayed by 4 s (longer than the 3 s read timeout) for 30 s every minute
+   */
+  slowResponses(simulator) {
+    let slow = false;
+    return every(30000, () => {
+      slow = !slow;
+      simulator.setResponseDelay(slow ? 4000 : 0);
+    });
+  },
+
+  /**
+   * Three consecutive requests answered with an exception every 20 s
+   */
+  exceptionReplies(simulator) {
+    return every(20000, () => simulator.failNextRequests(3, 0x04));
+  }
+};
+
+module.exports = scenarios;
\ No newline at end of file